@@ -0,0 +1,332 @@
+var addressCheck = (function () {
+    'use strict';
+    var ac = {};
+
+    var ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+    var ENCODED_BLOCK_SIZES = [0, 2, 3, 5, 6, 7, 9, 10, 11];
+    var BLOCK_BYTES = 8;
+    var BLOCK_CHARS = 11;
+    var KEYS_SIZE = 64;
+    var CHECKSUM_SIZE = 4;
+
+    // Characters people type for base58 symbols that do not exist
+    var LOOKALIKES = { '0': 'o', 'O': 'o', 'I': 'i or 1', 'l': '1 or L' };
+
+    // Characters mixed up when reading a printed address, tried first by suggest
+    var CONFUSIONS = {
+        '0': 'o', 'O': 'o', 'I': 'i1', 'l': '1L', '1': 'iL', 'i': '1j', 'j': 'i', 'L': '1',
+        'o': 'a', 'a': 'o', 'u': 'v', 'v': 'u', 'U': 'V', 'V': 'U', 'W': 'w', 'w': 'W',
+        '5': 'S', 'S': '5s', 's': 'S', '2': 'Z', 'Z': '2z', 'z': 'Z', '8': 'B', 'B': '8',
+        '6': 'G', 'G': '6', '9': 'gq', 'g': '9q', 'q': 'g9', 'c': 'C', 'C': 'c', 'x': 'X',
+        'X': 'x', 'k': 'K', 'K': 'k', 'p': 'P', 'P': 'p', 'y': 'Y', 'Y': 'y', 'm': 'n', 'n': 'm'
+    };
+
+    // Tries beyond this many bad symbols are too many to be one typo
+    var MAX_BAD_SYMBOLS = 4;
+
+    // Address types of the coin, the ones it has no prefix for are left out
+    function types(config) {
+        return [
+            { type: 'standard', name: 'standard address', prefix: config.addressPrefix, idSize: 0 },
+            { type: 'integrated', name: 'integrated address', prefix: config.integratedAddressPrefix, idSize: 8 },
+            { type: 'subaddress', name: 'subaddress', prefix: config.subaddressPrefix, idSize: 0 }
+        ].filter(function (t) {
+            return t.prefix !== null && t.prefix !== undefined;
+        });
+    }
+
+    function hex(n) {
+        return '0x' + n.toString(16).toUpperCase();
+    }
+
+    function encodedLength(bytes) {
+        return Math.floor(bytes / BLOCK_BYTES) * BLOCK_CHARS + ENCODED_BLOCK_SIZES[bytes % BLOCK_BYTES];
+    }
+
+    // Reads the varint at the start of the hex data, returns {value, size} with size in bytes
+    function readVarint(data) {
+        var value = 0;
+        for (var i = 0; i * 2 < data.length && i < 8; i++) {
+            var b = parseInt(data.slice(i * 2, i * 2 + 2), 16);
+            value += (b & 0x7F) * Math.pow(2, 7 * i);
+            if (!(b & 0x80)) {
+                return { value: value, size: i + 1 };
+            }
+        }
+        return null;
+    }
+
+    function known(config, prefix) {
+        var list = types(config);
+        for (var i = 0; i < list.length; i++) {
+            if (list[i].prefix === prefix) {
+                return list[i];
+            }
+        }
+        return null;
+    }
+
+    // Network of the coin and address type of prefix, from the prefixes of every network in config
+    function network(config, prefix) {
+        var networks = config.networks || {};
+        for (var name in networks) {
+            var match = known(networks[name], prefix);
+            if (match) {
+                return { network: name, type: match.type, name: match.name };
+            }
+        }
+        return null;
+    }
+
+    function fail(result, error, position) {
+        result.error = error;
+        result.position = position === undefined ? -1 : position;
+        return result;
+    }
+
+    /*
+     * Checks any string as an address of the coin and network in config and tells what it is or exactly why it fails.
+     * Returns {valid, type, name, network, prefix, prefixHex, length, spend, view, paymentId, error, position},
+     * position is the index of the bad character for symbol errors and -1 otherwise. Addresses of another
+     * network of the coin fail with their network set.
+     */
+    ac.inspect = function (cnUtil, config, address) {
+        address = address.replace(/\s/g, '');
+        var result = {
+            address: address,
+            valid: false,
+            type: null,
+            name: null,
+            network: null,
+            prefix: null,
+            prefixHex: null,
+            length: address.length,
+            spend: null,
+            view: null,
+            paymentId: null,
+            error: null,
+            position: -1
+        };
+        if (address === '') {
+            return fail(result, 'Enter an address');
+        }
+
+        for (var i = 0; i < address.length; i++) {
+            if (ALPHABET.indexOf(address[i]) === -1) {
+                var hint = LOOKALIKES[address[i]] ? ', did you mean ' + LOOKALIKES[address[i]] + '?' : '';
+                return fail(result, 'Bad base58 symbol "' + address[i] + '" at character ' + (i + 1) + hint, i);
+            }
+        }
+
+        if (address.length < BLOCK_CHARS) {
+            return fail(result, 'Wrong length: ' + address.length + ' characters, too short for an address');
+        }
+        // the prefix is in the first block, it can be read even when the rest is broken
+        var head;
+        try {
+            head = cnBase58.decode(address.slice(0, BLOCK_CHARS));
+        } catch (e) {
+            return fail(result, 'The first ' + BLOCK_CHARS + ' characters are not valid base58 data, one of them is mistyped');
+        }
+        var varint = readVarint(head);
+        if (varint === null) {
+            return fail(result, 'Wrong prefix, the first characters do not hold a valid prefix');
+        }
+        result.prefix = varint.value;
+        result.prefixHex = head.slice(0, varint.size * 2);
+
+        var match = known(config, varint.value);
+        var other = network(config, varint.value);
+        if (match === null && other) {
+            result.type = other.type;
+            result.name = other.name;
+            result.network = other.network;
+            return fail(result, 'Wrong network: this is a ' + config.coinName + ' ' + other.network + ' ' + other.name +
+                ', the page is set to ' + config.network);
+        }
+        if (match === null) {
+            return fail(result, 'Wrong prefix ' + hex(varint.value) + ', ' + config.coinName + ' uses ' +
+                types(config).map(function (t) { return hex(t.prefix) + ' for the ' + t.name; }).join(', ') +
+                '. This is not a ' + config.coinName + ' address');
+        }
+        result.type = match.type;
+        result.name = match.name;
+        result.network = config.network || null;
+
+        var expected = encodedLength(varint.size + KEYS_SIZE + match.idSize + CHECKSUM_SIZE);
+        if (address.length !== expected) {
+            return fail(result, 'Wrong length: ' + address.length + ' characters, a ' + match.name + ' has ' + expected +
+                (address.length < expected ? ', characters are missing' : ', there are extra characters'));
+        }
+
+        var data;
+        try {
+            data = cnBase58.decode(address);
+        } catch (e) {
+            // a block whose value does not fit its bytes, only possible with a mistyped character
+            return fail(result, 'Checksum mismatch, a character is mistyped');
+        }
+        var body = data.slice(0, data.length - CHECKSUM_SIZE * 2);
+        if (cnUtil.cn_fast_hash(body).slice(0, CHECKSUM_SIZE * 2) !== data.slice(body.length)) {
+            return fail(result, 'Checksum mismatch, a character is mistyped');
+        }
+
+        var decoded = cnUtil.decode_address(address);
+        result.spend = decoded.spend;
+        result.view = decoded.view;
+        result.paymentId = decoded.intPaymentId;
+        result.valid = true;
+        return result;
+    };
+
+    // Network of the coin whose prefix starts an address or private key, null when no network has it
+    ac.network = function (config, text) {
+        text = text.replace(/\s/g, '');
+        try {
+            var varint = readVarint(cnBase58.decode(text.slice(0, BLOCK_CHARS)));
+            var match = varint && network(config, varint.value);
+            return match ? match.network : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    function decodeBlock(block) {
+        try {
+            return cnBase58.decode(block);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Address check on the decoded blocks, only the blocks a candidate changes are decoded again
+    function verifies(cnUtil, config, blocks) {
+        if (blocks.indexOf(null) !== -1) {
+            return false;
+        }
+        var data = blocks.join('');
+        var varint = readVarint(data);
+        var match = varint && known(config, varint.value);
+        if (!match || data.length !== (varint.size + KEYS_SIZE + match.idSize + CHECKSUM_SIZE) * 2) {
+            return false;
+        }
+        var body = data.slice(0, data.length - CHECKSUM_SIZE * 2);
+        return cnUtil.cn_fast_hash(body).slice(0, CHECKSUM_SIZE * 2) === data.slice(body.length);
+    }
+
+    // Edits tried by suggest, in order of likeliness: [{changes: [[position, character]], kind}]
+    function edits(chars, bad) {
+        var list = [];
+        var p, c;
+        if (bad.length > 0) {
+            // every bad symbol has to change, try the lookalikes of all of them together
+            var combine = function (k, changes) {
+                if (k === bad.length) {
+                    return list.push({ changes: changes, kind: 'confusion' });
+                }
+                var options = CONFUSIONS[chars[bad[k]]] || '';
+                for (var o = 0; o < options.length; o++) {
+                    combine(k + 1, changes.concat([[bad[k], options[o]]]));
+                }
+            };
+            combine(0, []);
+            if (bad.length === 1) {
+                for (c = 0; c < ALPHABET.length; c++) {
+                    list.push({ changes: [[bad[0], ALPHABET[c]]], kind: 'substitution' });
+                }
+            }
+            return list;
+        }
+        for (p = 0; p < chars.length; p++) {
+            var swaps = CONFUSIONS[chars[p]] || '';
+            for (c = 0; c < swaps.length; c++) {
+                list.push({ changes: [[p, swaps[c]]], kind: 'confusion' });
+            }
+        }
+        for (p = 0; p + 1 < chars.length; p++) {
+            if (chars[p] !== chars[p + 1]) {
+                list.push({ changes: [[p, chars[p + 1]], [p + 1, chars[p]]], kind: 'transposition' });
+            }
+        }
+        for (p = 0; p < chars.length; p++) {
+            for (c = 0; c < ALPHABET.length; c++) {
+                if (ALPHABET[c] !== chars[p]) {
+                    list.push({ changes: [[p, ALPHABET[c]]], kind: 'substitution' });
+                }
+            }
+        }
+        return list;
+    }
+
+    /*
+     * Looks for corrections of a mistyped address whose checksum verifies: substitutions of one character,
+     * swaps of two neighbours and the usual confusions such as 0/o and l/1.
+     * callback(error, progress, found) runs as the search goes with the corrections found so far and a progress
+     * of 1 once done. found is [{address, positions, kind}] with the likely confusions first, kind is 'confusion',
+     * 'substitution' or 'transposition' and positions are the indexes of the changed characters.
+     * Every try costs a hash, so the search runs in short slices and returns an object whose stop() cancels it.
+     */
+    ac.suggest = function (cnUtil, config, address, callback) {
+        address = address.replace(/\s/g, '');
+        var chars = address.split('');
+        var bad = [];
+        for (var i = 0; i < chars.length; i++) {
+            if (ALPHABET.indexOf(chars[i]) === -1) {
+                bad.push(i);
+            }
+        }
+        var list = bad.length > MAX_BAD_SYMBOLS || ac.inspect(cnUtil, config, address).valid ? [] : edits(chars, bad);
+
+        var blocks = [];
+        for (i = 0; i * BLOCK_CHARS < chars.length; i++) {
+            blocks.push(decodeBlock(address.slice(i * BLOCK_CHARS, (i + 1) * BLOCK_CHARS)));
+        }
+        var found = [];
+        var seen = {};
+        var test = function (edit) {
+            var candidate = chars.slice();
+            edit.changes.forEach(function (change) {
+                candidate[change[0]] = change[1];
+            });
+            var text = candidate.join('');
+            if (seen[text]) {
+                return;
+            }
+            seen[text] = true;
+            var changed = blocks.slice();
+            var positions = edit.changes.map(function (change) {
+                var b = Math.floor(change[0] / BLOCK_CHARS);
+                changed[b] = decodeBlock(text.slice(b * BLOCK_CHARS, (b + 1) * BLOCK_CHARS));
+                return change[0];
+            });
+            if (verifies(cnUtil, config, changed)) {
+                found.push({ address: text, positions: positions, kind: edit.kind });
+            }
+        };
+
+        var next = 0;
+        var stopped = false;
+        var slice = function () {
+            if (stopped) {
+                return;
+            }
+            var end = Date.now() + 100;
+            while (next < list.length && Date.now() < end) {
+                test(list[next++]);
+            }
+            if (next < list.length) {
+                callback(null, next / list.length, found);
+                return setTimeout(slice, 0);
+            }
+            callback(null, 1, found);
+        };
+        setTimeout(slice, 0);
+        return {
+            stop: function () {
+                stopped = true;
+            }
+        };
+    };
+
+    return ac;
+})();
@@ -0,0 +1,105 @@
+var batch = (function () {
+    'use strict';
+    var ba = {};
+
+    ba.MAX_WALLETS = 100;
+    ba.KEY_FILE_VERSION = 1;
+
+    function utf8(str) {
+        return cnBase58.strtobin(unescape(encodeURIComponent(str)));
+    }
+
+    function csvField(value) {
+        value = String(value);
+        return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    }
+
+    function publicPart(wallet, i) {
+        return {
+            index: i + 1,
+            name: wallet.name,
+            description: wallet.description,
+            address: wallet.address
+        };
+    }
+
+    // Lists the public addresses of a batch as 'csv' or 'json', never any private key
+    ba.manifest = function (wallets, format, coin) {
+        var rows = wallets.map(publicPart);
+        if (format === 'json') {
+            return JSON.stringify({
+                coin: coin,
+                created: new Date().toISOString(),
+                wallets: rows
+            }, null, 2);
+        }
+        if (format !== 'csv') {
+            throw "Unknown manifest format: " + format;
+        }
+        var lines = ['index,name,description,address'];
+        rows.forEach(function (row) {
+            lines.push([row.index, row.name, row.description, row.address].map(csvField).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    };
+
+    /*
+     * Encrypts the private keys of a batch into a JSON key file, see keyCrypt for the algorithms.
+     * callback(error, progress, text) with the file contents once done.
+     */
+    ba.encryptKeys = function (pharse, wallets, coin, params, callback) {
+        var keys = wallets.map(function (wallet, i) {
+            var row = publicPart(wallet, i);
+            row.private_key = wallet.privateKey;
+            return row;
+        });
+        keyCrypt.encrypt(pharse, utf8(JSON.stringify(keys)), params, function (error, progress, sealed) {
+            if (error || !sealed) {
+                return callback(error, progress);
+            }
+            callback(null, 1, JSON.stringify({
+                version: ba.KEY_FILE_VERSION,
+                coin: coin,
+                kdf: 'scrypt',
+                logN: params.logN,
+                r: params.r,
+                p: params.p,
+                salt: cnBase58.bintohex(sealed.salt),
+                cipher: 'xsalsa20-poly1305',
+                nonce: cnBase58.bintohex(sealed.nonce),
+                ciphertext: cnBase58.bintohex(sealed.box)
+            }, null, 2));
+        });
+    };
+
+    // callback(error, progress, wallets) with the rows of a key file written by encryptKeys
+    ba.decryptKeys = function (pharse, text, callback) {
+        var file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            return callback("Not a key file");
+        }
+        if (!file || file.version !== ba.KEY_FILE_VERSION || file.kdf !== 'scrypt' || file.cipher !== 'xsalsa20-poly1305') {
+            return callback("Unsupported key file");
+        }
+        var sealed;
+        try {
+            sealed = {
+                salt: cnBase58.hextobin(file.salt),
+                nonce: cnBase58.hextobin(file.nonce),
+                box: cnBase58.hextobin(file.ciphertext)
+            };
+        } catch (e) {
+            return callback("Damaged key file");
+        }
+        keyCrypt.decrypt(pharse, sealed, file, function (error, progress, data) {
+            if (error || !data) {
+                return callback(error, progress);
+            }
+            callback(null, 1, JSON.parse(decodeURIComponent(escape(cnBase58.bintostr(data)))));
+        });
+    };
+
+    return ba;
+})();
@@ -0,0 +1,120 @@
+var brainWallet = (function () {
+    'use strict';
+    var bw = {};
+
+    // Version 1 is the original single keccak pass over the low byte of each UTF-16 code unit, kept to recover
+    // existing wallets. Version 2 stretches the UTF-8 bytes of the NFKD form with scrypt.
+    bw.LEGACY = 1;
+    bw.SCRYPT = 2;
+    bw.CURRENT_VERSION = bw.SCRYPT;
+
+    bw.DEFAULT_OPTIONS = {
+        version: bw.CURRENT_VERSION,
+        salt: '',
+        logN: 16,
+        r: 8,
+        p: 1
+    };
+
+    var SALT_PREFIX = 'DigitalNote brain wallet:';
+    var KEY_SIZE = 32;
+
+    function validate(options) {
+        if (options.version !== bw.LEGACY && options.version !== bw.SCRYPT) {
+            throw "Unknown brain wallet version: " + options.version;
+        }
+        if (options.version !== bw.LEGACY) {
+            if (!(options.logN >= 10 && options.logN <= 20)) throw "Invalid scrypt N";
+            if (!(options.r >= 1 && options.r <= 32)) throw "Invalid scrypt r";
+            if (!(options.p >= 1 && options.p <= 16)) throw "Invalid scrypt p";
+        }
+    }
+
+    function toBytes(str, version) {
+        if (version === bw.LEGACY) {
+            return cnBase58.strtobin(str);
+        }
+        return cnBase58.strtobin(unescape(encodeURIComponent(str.normalize('NFKD'))));
+    }
+
+    // True when the legacy encoding of version 1 loses information of the passphrase
+    bw.truncates = function (pharse) {
+        for (var i = 0; i < pharse.length; i++) {
+            if (pharse.charCodeAt(i) > 0xFF) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    // Short description of the derivation, printed on the wallet so it can be recovered later
+    bw.tag = function (options) {
+        if (options.version === bw.LEGACY) {
+            return 'BRAIN WALLET v1 keccak';
+        }
+        return 'BRAIN WALLET v' + options.version + ' scrypt N=2^' + options.logN + ' r=' + options.r + ' p=' + options.p +
+            (options.salt ? ' +salt' : '');
+    };
+
+    // callback(error, progress, hash) with the 32 byte scrypt hash as hex once done, return true from it to cancel
+    bw.scrypt = function (pharse, options, callback) {
+        var password = Array.prototype.slice.call(toBytes(pharse, options.version));
+        var salt = Array.prototype.slice.call(toBytes(SALT_PREFIX + options.salt, options.version));
+        scrypt(password, salt, Math.pow(2, options.logN), options.r, options.p, KEY_SIZE, function (error, progress, key) {
+            if (error) {
+                return callback(error.message || error);
+            }
+            if (key) {
+                return callback(null, 1, cnBase58.bintohex(key));
+            }
+            return callback(null, progress);
+        });
+    };
+
+    // Derives the spend seed for create_address; callback(error, progress, seed).
+    // The scrypt versions run in brainWorker.js when the browser allows workers for this page.
+    bw.derive = function (cnUtil, pharse, options, callback) {
+        try {
+            validate(options);
+        } catch (e) {
+            return callback(e);
+        }
+
+        if (options.version === bw.LEGACY) {
+            var hex = cnBase58.bintohex(toBytes(pharse, options.version));
+            return callback(null, 1, cnUtil.sc_reduce32(cnUtil.cn_fast_hash(hex)));
+        }
+
+        var done = function (error, progress, hash) {
+            if (error) {
+                return callback(error);
+            }
+            return callback(null, progress, hash ? cnUtil.sc_reduce32(hash) : undefined);
+        };
+
+        var worker;
+        try {
+            worker = new Worker('brainWorker.js');
+        } catch (e) {
+            // e.g. pages opened from file:// in Chrome, fall back to the chunked scrypt on this thread
+            return bw.scrypt(pharse, options, done);
+        }
+        worker.onmessage = function (e) {
+            if (e.data.error || e.data.hash) {
+                worker.terminate();
+            }
+            done(e.data.error, e.data.progress, e.data.hash);
+        };
+        worker.onerror = function (e) {
+            e.preventDefault();
+            worker.terminate();
+            bw.scrypt(pharse, options, done);
+        };
+        worker.postMessage({
+            pharse: pharse,
+            options: options
+        });
+    };
+
+    return bw;
+})();
@@ -0,0 +1,12 @@
+// Runs the scrypt brain wallet derivation off the page thread, see brainWallet.derive
+importScripts('numbers.js', 'scrypt.js', 'brainWallet.js');
+
+onmessage = function (e) {
+    brainWallet.scrypt(e.data.pharse, e.data.options, function (error, progress, hash) {
+        postMessage({
+            error: error,
+            progress: progress,
+            hash: hash
+        });
+    });
+};
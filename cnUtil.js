@@ -7,6 +7,10 @@ var cnUtilGen = function(initConfig) {
     var HASH_SIZE = 32;
     var ADDRESS_CHECKSUM_SIZE = 4;
     var CRYPTONOTE_PUBLIC_ADDRESS_BASE58_PREFIX = config.addressPrefix;
+    var CRYPTONOTE_PUBLIC_INTEGRATED_ADDRESS_BASE58_PREFIX = config.integratedAddressPrefix;
+    var CRYPTONOTE_PUBLIC_SUBADDRESS_BASE58_PREFIX = config.subaddressPrefix;
+    var HASH_KEY_SUBADDRESS = "5375624164647200"; // "SubAddr" with its terminating zero
+    var INTEGRATED_ID_SIZE = 8;
     var UINT64_MAX = new JSBigInt(2).pow(64);
     var CURRENT_TX_VERSION = 1;
     var TX_EXTRA_NONCE_MAX_COUNT = 255;
@@ -110,6 +114,90 @@ var cnUtilGen = function(initConfig) {
         return bintohex(output);
     };
 
+    this.sc_add = function(hex1, hex2) {
+        if (hex1.length !== 64 || hex2.length !== 64) {
+            throw "Invalid input length!";
+        }
+        var a_m = Module._malloc(KEY_SIZE);
+        Module.HEAPU8.set(hextobin(hex1), a_m);
+        var b_m = Module._malloc(KEY_SIZE);
+        Module.HEAPU8.set(hextobin(hex2), b_m);
+        var sum_m = Module._malloc(STRUCT_SIZES.EC_SCALAR);
+        Module.ccall("sc_add", "void", ["number", "number", "number"], [sum_m, a_m, b_m]);
+        var res = Module.HEAPU8.subarray(sum_m, sum_m + STRUCT_SIZES.EC_SCALAR);
+        Module._free(a_m);
+        Module._free(b_m);
+        Module._free(sum_m);
+        return bintohex(res);
+    };
+
+    // Sum of two public keys
+    this.ge_add = function(pub1, pub2) {
+        if (pub1.length !== 64 || pub2.length !== 64) {
+            throw "Invalid input length!";
+        }
+        var key1_m = Module._malloc(KEY_SIZE);
+        Module.HEAPU8.set(hextobin(pub1), key1_m);
+        var key2_m = Module._malloc(KEY_SIZE);
+        Module.HEAPU8.set(hextobin(pub2), key2_m);
+        var point1_m = Module._malloc(STRUCT_SIZES.GE_P3);
+        var point2_m = Module._malloc(STRUCT_SIZES.GE_P3);
+        var point3_m = Module._malloc(STRUCT_SIZES.GE_CACHED);
+        var point4_m = Module._malloc(STRUCT_SIZES.GE_P1P1);
+        var point5_m = Module._malloc(STRUCT_SIZES.GE_P2);
+        var sum_m = Module._malloc(KEY_SIZE);
+        var valid = Module.ccall("ge_frombytes_vartime", "bool", ["number", "number"], [point1_m, key1_m]) === 0 &&
+            Module.ccall("ge_frombytes_vartime", "bool", ["number", "number"], [point2_m, key2_m]) === 0;
+        if (valid) {
+            Module.ccall("ge_p3_to_cached", "void", ["number", "number"], [point3_m, point2_m]);
+            Module.ccall("ge_add", "void", ["number", "number", "number"], [point4_m, point1_m, point3_m]);
+            Module.ccall("ge_p1p1_to_p2", "void", ["number", "number"], [point5_m, point4_m]);
+            Module.ccall("ge_tobytes", "void", ["number", "number"], [sum_m, point5_m]);
+        }
+        var res = bintohex(Module.HEAPU8.subarray(sum_m, sum_m + KEY_SIZE));
+        Module._free(key1_m);
+        Module._free(key2_m);
+        Module._free(point1_m);
+        Module._free(point2_m);
+        Module._free(point3_m);
+        Module._free(point4_m);
+        Module._free(point5_m);
+        Module._free(sum_m);
+        if (!valid) {
+            throw "Invalid public key";
+        }
+        return res;
+    };
+
+    // Point times scalar, unlike generate_key_derivation without the cofactor
+    this.ge_scalarmult = function(pub, sec) {
+        if (pub.length !== 64 || sec.length !== 64) {
+            throw "Invalid input length";
+        }
+        var pub_m = Module._malloc(KEY_SIZE);
+        Module.HEAPU8.set(hextobin(pub), pub_m);
+        var sec_m = Module._malloc(KEY_SIZE);
+        Module.HEAPU8.set(hextobin(sec), sec_m);
+        var ge_p3_m = Module._malloc(STRUCT_SIZES.GE_P3);
+        var ge_p2_m = Module._malloc(STRUCT_SIZES.GE_P2);
+        var res_m = Module._malloc(KEY_SIZE);
+        var valid = Module.ccall("ge_frombytes_vartime", "bool", ["number", "number"], [ge_p3_m, pub_m]) === 0;
+        if (valid) {
+            Module.ccall("ge_scalarmult", "void", ["number", "number", "number"], [ge_p2_m, sec_m, ge_p3_m]);
+            Module.ccall("ge_tobytes", "void", ["number", "number"], [res_m, ge_p2_m]);
+        }
+        var res = bintohex(Module.HEAPU8.subarray(res_m, res_m + KEY_SIZE));
+        Module._free(pub_m);
+        Module._free(sec_m);
+        Module._free(ge_p3_m);
+        Module._free(ge_p2_m);
+        Module._free(res_m);
+        if (!valid) {
+            throw "Invalid public key";
+        }
+        return res;
+    };
+
     this.cn_fast_hash = function(input, inlen) {
         if (inlen === undefined || !inlen) {
             inlen = Math.floor(input.length / 2);
@@ -148,6 +236,79 @@ var cnUtilGen = function(initConfig) {
         return cnBase58.encode(data + checksum.slice(0, ADDRESS_CHECKSUM_SIZE * 2));
     };
 
+    // Reverse of encode_key, returns keys in the same shape as create_address
+    this.decode_key = function(key) {
+        var dec = cnBase58.decode(key);
+        var expectedPrefix = this.encode_varint(CRYPTONOTE_PUBLIC_ADDRESS_BASE58_PREFIX);
+        var prefix = dec.slice(0, expectedPrefix.length);
+        if (prefix !== expectedPrefix) {
+            throw "Invalid private key prefix";
+        }
+        dec = dec.slice(expectedPrefix.length);
+        if (dec.length !== (KEY_SIZE * 4 + ADDRESS_CHECKSUM_SIZE) * 2) {
+            throw "Invalid private key length";
+        }
+        var spend_pub = dec.slice(0, 64);
+        var view_pub = dec.slice(64, 128);
+        var spend_sec = dec.slice(128, 192);
+        var view_sec = dec.slice(192, 256);
+        var checksum = dec.slice(256);
+        var expectedChecksum = this.cn_fast_hash(prefix + spend_pub + view_pub + spend_sec + view_sec).slice(0, ADDRESS_CHECKSUM_SIZE * 2);
+        if (checksum !== expectedChecksum) {
+            throw "Invalid checksum";
+        }
+        if (!this.valid_keys(view_pub, view_sec, spend_pub, spend_sec)) {
+            throw "Public keys do not match secret keys";
+        }
+        return {
+            spend: {
+                sec: spend_sec,
+                pub: spend_pub
+            },
+            view: {
+                sec: view_sec,
+                pub: view_pub
+            },
+            public_addr: this.pubkeys_to_string(spend_pub, view_pub)
+        };
+    };
+
+    // Wallet from raw hex keys. The public keys are optional and checked when given,
+    // without a view secret the view key is derived from the spend key like create_address does.
+    this.keys_from_hex = function(spend_sec, view_sec, spend_pub, view_pub) {
+        var check_sec = function(sec, name) {
+            if (!/^[0-9a-f]{64}$/.test(sec) || this.sc_reduce32(sec) !== sec) {
+                throw "Invalid " + name + " secret key";
+            }
+        }.bind(this);
+        spend_sec = spend_sec.toLowerCase();
+        check_sec(spend_sec, "spend");
+        view_sec = view_sec ? view_sec.toLowerCase() : this.sc_reduce32(this.keccak(spend_sec, 32, 32));
+        check_sec(view_sec, "view");
+        var expected_spend_pub = this.sec_key_to_pub(spend_sec);
+        var expected_view_pub = this.sec_key_to_pub(view_sec);
+        if (spend_pub && spend_pub.toLowerCase() !== expected_spend_pub) {
+            throw "The spend public key does not match the spend secret key";
+        }
+        if (view_pub && view_pub.toLowerCase() !== expected_view_pub) {
+            throw "The view public key does not match the view secret key";
+        }
+        if (!this.valid_keys(expected_view_pub, view_sec, expected_spend_pub, spend_sec)) {
+            throw "Public keys do not match secret keys";
+        }
+        return {
+            spend: {
+                sec: spend_sec,
+                pub: expected_spend_pub
+            },
+            view: {
+                sec: view_sec,
+                pub: expected_view_pub
+            },
+            public_addr: this.pubkeys_to_string(expected_spend_pub, expected_view_pub)
+        };
+    };
+
     // Generate keypair from seed
     this.generate_keys = function(seed) {
         if (seed.length !== 64) throw "Invalid input length!";
@@ -199,6 +360,22 @@ var cnUtilGen = function(initConfig) {
         return keys;
     };
 
+    // Non-deterministic wallet: the spend key comes from seed like in create_address,
+    // the view key is an independent random_keypair, so seed words cannot restore it
+    this.create_address_independent_view = function(seed) {
+        var keys = {};
+        var first;
+        if (seed.length !== 64) {
+            first = this.keccak(seed, seed.length / 2, 32);
+        } else {
+            first = seed;
+        }
+        keys.spend = this.generate_keys(first);
+        keys.view = this.random_keypair();
+        keys.public_addr = this.pubkeys_to_string(keys.spend.pub, keys.view.pub);
+        return keys;
+    };
+
     this.create_address_if_prefix = function(seed, prefix) {
         var keys = {};
         var first;
@@ -208,7 +385,7 @@ var cnUtilGen = function(initConfig) {
             first = seed;
         }
         keys.spend = this.generate_keys(first);
-        public_addr = this.pubkeys_to_string(keys.spend.pub, "");
+        var public_addr = this.pubkeys_to_string(keys.spend.pub, "");
         if (public_addr.toUpperCase().slice(0, prefix.length) != prefix.toUpperCase())
           return null;
         var second = this.keccak(keys.spend.sec, 32, 32);
@@ -217,6 +394,20 @@ var cnUtilGen = function(initConfig) {
         return keys;
     };
 
+    // Split-key vanity: tries the helper key from seed against the partial public key of the owner,
+    // returns {sec, pub} with the helper secret and the combined spend public key if the address matches prefix
+    this.create_split_address_if_prefix = function(partial_pub, seed, prefix) {
+        var helper = this.generate_keys(seed);
+        var pub = this.ge_add(partial_pub, helper.pub);
+        var public_addr = this.pubkeys_to_string(pub, "");
+        if (public_addr.toUpperCase().slice(0, prefix.length) != prefix.toUpperCase())
+          return null;
+        return {
+            'sec': helper.sec,
+            'pub': pub
+        };
+    };
+
     this.create_addr_prefix = function(seed) {
         var first;
         if (seed.length !== 64) {
@@ -250,27 +441,109 @@ var cnUtilGen = function(initConfig) {
         return bintohex(res);
     };
 
+    // Decodes standard, integrated and subaddresses, intPaymentId is only set for integrated ones
     this.decode_address = function(address) {
         var dec = cnBase58.decode(address);
         var expectedPrefix = this.encode_varint(CRYPTONOTE_PUBLIC_ADDRESS_BASE58_PREFIX);
-        var prefix = dec.slice(0, expectedPrefix.length);
-        if (prefix !== expectedPrefix) {
+        // a coin without integrated addresses or subaddresses has a null prefix for them
+        var expectedPrefixInt = CRYPTONOTE_PUBLIC_INTEGRATED_ADDRESS_BASE58_PREFIX === null ? null :
+            this.encode_varint(CRYPTONOTE_PUBLIC_INTEGRATED_ADDRESS_BASE58_PREFIX);
+        var expectedPrefixSub = CRYPTONOTE_PUBLIC_SUBADDRESS_BASE58_PREFIX === null ? null :
+            this.encode_varint(CRYPTONOTE_PUBLIC_SUBADDRESS_BASE58_PREFIX);
+        var prefix = null;
+        var intPaymentId = null;
+        [expectedPrefix, expectedPrefixInt, expectedPrefixSub].forEach(function(expected) {
+            if (prefix === null && expected !== null && dec.slice(0, expected.length) === expected) {
+                prefix = expected;
+            }
+        });
+        if (prefix === null) {
             throw "Invalid address prefix";
         }
-        dec = dec.slice(expectedPrefix.length);
+        dec = dec.slice(prefix.length);
         var spend = dec.slice(0, 64);
         var view = dec.slice(64, 128);
+        if (prefix === expectedPrefixInt) {
+            intPaymentId = dec.slice(128, 128 + (INTEGRATED_ID_SIZE * 2));
+            dec = dec.slice(0, 128) + dec.slice(128 + (INTEGRATED_ID_SIZE * 2));
+        }
         var checksum = dec.slice(128, 128 + (ADDRESS_CHECKSUM_SIZE * 2));
-        var expectedChecksum = this.cn_fast_hash(prefix + spend + view).slice(0, ADDRESS_CHECKSUM_SIZE * 2);
+        if (dec.length !== 128 + (ADDRESS_CHECKSUM_SIZE * 2)) {
+            throw "Invalid address length";
+        }
+        var expectedChecksum = this.cn_fast_hash(prefix + spend + view + (intPaymentId || "")).slice(0, ADDRESS_CHECKSUM_SIZE * 2);
         if (checksum !== expectedChecksum) {
             throw "Invalid checksum";
         }
         return {
             spend: spend,
-            view: view
+            view: view,
+            intPaymentId: intPaymentId,
+            isSubaddress: prefix === expectedPrefixSub
         };
     };
 
+    function uint32_le(i) {
+        if (!(i >= 0 && i <= 0xFFFFFFFF && i % 1 === 0)) {
+            throw "Subaddress index out of range";
+        }
+        return bintohex([i & 0xFF, (i >>> 8) & 0xFF, (i >>> 16) & 0xFF, i >>> 24]);
+    }
+
+    // m = Hs("SubAddr\0" | view secret | account | index), the spend secret of a subaddress is spend secret + m
+    this.get_subaddress_secret_key = function(view_sec, account, index) {
+        return this.hash_to_scalar(HASH_KEY_SUBADDRESS + view_sec + uint32_le(account) + uint32_le(index));
+    };
+
+    // Receive-only address (account, index) of the wallet, (0, 0) is the main address.
+    // Spend public D = B + m*G and view public C = a*D, so the same private key controls every subaddress.
+    this.get_subaddress = function(view_sec, spend_pub, account, index) {
+        if (CRYPTONOTE_PUBLIC_SUBADDRESS_BASE58_PREFIX === null) {
+            throw config.coinName + " has no subaddress prefix";
+        }
+        if (account === 0 && index === 0) {
+            return {
+                account: account,
+                index: index,
+                spend: spend_pub,
+                view: this.sec_key_to_pub(view_sec),
+                address: this.pubkeys_to_string(spend_pub, this.sec_key_to_pub(view_sec))
+            };
+        }
+        var m = this.get_subaddress_secret_key(view_sec, account, index);
+        var spend = this.ge_add(spend_pub, this.sec_key_to_pub(m));
+        var view = this.ge_scalarmult(spend, view_sec);
+        var prefix = this.encode_varint(CRYPTONOTE_PUBLIC_SUBADDRESS_BASE58_PREFIX);
+        var data = prefix + spend + view;
+        var checksum = this.cn_fast_hash(data);
+        return {
+            account: account,
+            index: index,
+            spend: spend,
+            view: view,
+            address: cnBase58.encode(data + checksum.slice(0, ADDRESS_CHECKSUM_SIZE * 2))
+        };
+    };
+
+    this.valid_payment_id = function(payment_id8) {
+        return new RegExp("^[0-9a-fA-F]{" + (INTEGRATED_ID_SIZE * 2) + "}$").test(payment_id8);
+    };
+
+    // Address with a 64-bit payment ID built in: integrated prefix, spend, view, payment ID and checksum
+    this.get_account_integrated_address = function(address, payment_id8) {
+        if (!this.valid_payment_id(payment_id8)) {
+            throw "The payment ID must be " + (INTEGRATED_ID_SIZE * 2) + " hex characters";
+        }
+        if (CRYPTONOTE_PUBLIC_INTEGRATED_ADDRESS_BASE58_PREFIX === null) {
+            throw config.coinName + " has no integrated address prefix";
+        }
+        var decoded_address = this.decode_address(address);
+        var prefix = this.encode_varint(CRYPTONOTE_PUBLIC_INTEGRATED_ADDRESS_BASE58_PREFIX);
+        var data = prefix + decoded_address.spend + decoded_address.view + payment_id8.toLowerCase();
+        var checksum = this.cn_fast_hash(data);
+        return cnBase58.encode(data + checksum.slice(0, ADDRESS_CHECKSUM_SIZE * 2));
+    };
+
     // Generate a 256-bit crypto random
     this.rand_32 = function() {
         return mn_random(256);
@@ -281,6 +554,11 @@ var cnUtilGen = function(initConfig) {
         return mn_random(128);
     };
 
+    // Random 64-bit payment ID for integrated addresses
+    this.rand_8 = function() {
+        return mn_random(64);
+    };
+
     this.random_keypair = function() {
         return this.generate_keys(this.rand_32());
     };
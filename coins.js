@@ -0,0 +1,235 @@
+var coins = (function () {
+    'use strict';
+    var co = {};
+
+    /*
+     * Built-in coin profiles, in the JSON format of the profile files loaded with parse.
+     * Prefixes are numbers or "0x" hex strings, logo and background are image URLs relative to the page.
+     * networks holds the prefixes of the test networks, the top level ones are mainnet.
+     * DigitalNote publishes no testnet or stagenet prefixes, so its profile has none. Load a profile
+     * with the values of your test daemon to use one.
+     * integratedAddressPrefix and subaddressPrefix are optional. DigitalNote publishes neither, nor does its
+     * wallet scan for subaddresses, so its donation cards and subaddress sheets are off.
+     * The Monero values are those of its cryptonote_config.h.
+     */
+    var PROFILES = [
+        {
+            "id": "xdn",
+            "coinName": "DigitalNote",
+            "coinSymbol": "XDN",
+            "coinUnitPlaces": 12,
+            "coinUriPrefix": "dnote:",
+            "addressPrefix": "0xDB",
+            "logo": "backgrounds/xdn.png",
+            "background": "backgrounds/graph.jpg",
+            "walletDescription": "DigitalNote address for payments and messages."
+        },
+        {
+            "id": "xmr",
+            "coinName": "Monero",
+            "coinSymbol": "XMR",
+            "coinUnitPlaces": 12,
+            "coinUriPrefix": "monero:",
+            "addressPrefix": 18,
+            "integratedAddressPrefix": 19,
+            "subaddressPrefix": 42,
+            "logo": "",
+            "background": "backgrounds/graph.jpg",
+            "networks": {
+                "testnet": {
+                    "addressPrefix": 53,
+                    "integratedAddressPrefix": 54,
+                    "subaddressPrefix": 63
+                },
+                "stagenet": {
+                    "addressPrefix": 24,
+                    "integratedAddressPrefix": 25,
+                    "subaddressPrefix": 36
+                }
+            }
+        }
+    ];
+
+    var PREFIX_FIELDS = ['addressPrefix', 'integratedAddressPrefix', 'subaddressPrefix'];
+    // Prefixes a coin can leave out, they are null in the config and the features that need them are off
+    var OPTIONAL_PREFIXES = ['integratedAddressPrefix', 'subaddressPrefix'];
+    var TEST_NETWORKS = ['testnet', 'stagenet'];
+    var MAX_PREFIX = Math.pow(2, 53) - 1;
+
+    co.MAINNET = 'mainnet';
+
+    // Printed across every wallet and card of a test network
+    co.watermark = function (network) {
+        return network.toUpperCase() + ' \u2013 NO VALUE';
+    };
+
+    var registry = [];
+
+    function prefix(name, value) {
+        if (typeof value === 'string' && /^0x[0-9a-fA-F]+$/.test(value)) {
+            value = parseInt(value, 16);
+        }
+        if (typeof value !== 'number' || value % 1 !== 0 || value < 0 || value > MAX_PREFIX) {
+            throw name + ' must be a number or a "0x" hex string';
+        }
+        return value;
+    }
+
+    // Checks a profile and returns it with numeric prefixes and the optional fields filled in
+    function validate(profile) {
+        if (!profile || typeof profile !== 'object') {
+            throw "A coin profile must be an object";
+        }
+        ['coinName', 'coinSymbol', 'coinUriPrefix'].forEach(function (field) {
+            if (typeof profile[field] !== 'string' || profile[field].trim() === '') {
+                throw "The coin profile needs " + field;
+            }
+        });
+        var name = 'Coin profile ' + profile.coinName + ': ';
+        if (!/^[a-z][a-z0-9+.\-]*:$/.test(profile.coinUriPrefix)) {
+            throw name + 'coinUriPrefix must be a URI scheme ending with ":", like "dnote:"';
+        }
+        if (!(profile.coinUnitPlaces >= 0 && profile.coinUnitPlaces <= 20 && profile.coinUnitPlaces % 1 === 0)) {
+            throw name + 'coinUnitPlaces must be a whole number from 0 to 20';
+        }
+        var result = {
+            id: typeof profile.id === 'string' && profile.id !== '' ? profile.id : profile.coinSymbol.toLowerCase(),
+            coinName: profile.coinName,
+            coinSymbol: profile.coinSymbol,
+            coinUnitPlaces: profile.coinUnitPlaces,
+            coinUriPrefix: profile.coinUriPrefix,
+            logo: typeof profile.logo === 'string' ? profile.logo : '',
+            background: typeof profile.background === 'string' ? profile.background : '',
+            walletDescription: typeof profile.walletDescription === 'string' ? profile.walletDescription :
+                profile.coinName + ' address for payments.'
+        };
+        var prefixes = function (source, label) {
+            var out = {};
+            PREFIX_FIELDS.forEach(function (field) {
+                if (OPTIONAL_PREFIXES.indexOf(field) !== -1 && (source[field] === undefined || source[field] === null)) {
+                    out[field] = null;
+                    return;
+                }
+                try {
+                    out[field] = prefix(field, source[field]);
+                } catch (e) {
+                    throw name + label + e;
+                }
+            });
+            return out;
+        };
+        result.networks = {};
+        result.networks[co.MAINNET] = prefixes(profile, '');
+        if (profile.networks !== undefined && (!profile.networks || typeof profile.networks !== 'object')) {
+            throw name + 'networks must be an object';
+        }
+        Object.keys(profile.networks || {}).forEach(function (network) {
+            if (network === co.MAINNET) {
+                // checked profiles list mainnet too, its prefixes are the top level ones
+                return;
+            }
+            if (TEST_NETWORKS.indexOf(network) === -1) {
+                throw name + 'unknown network ' + network + ', use ' + TEST_NETWORKS.join(' or ');
+            }
+            result.networks[network] = prefixes(profile.networks[network] || {}, network + ' ');
+        });
+        // an address must tell its type and network by the prefix alone
+        var seen = {};
+        Object.keys(result.networks).forEach(function (network) {
+            PREFIX_FIELDS.forEach(function (field) {
+                var value = result.networks[network][field];
+                if (value === null) {
+                    return;
+                }
+                if (seen[value]) {
+                    throw name + 'the prefix ' + value + ' is used twice, every address type and network needs its own';
+                }
+                seen[value] = true;
+            });
+        });
+        PREFIX_FIELDS.forEach(function (field) {
+            result[field] = result.networks[co.MAINNET][field];
+        });
+        return result;
+    }
+
+    /*
+     * Reads the text of a profile file, one profile object or an array of them.
+     * Returns the checked profiles, they are used after add.
+     */
+    co.parse = function (text) {
+        var data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw "The coin profile file is not valid JSON";
+        }
+        var list = Array.isArray(data) ? data : [data];
+        if (list.length === 0) {
+            throw "The coin profile file is empty";
+        }
+        return list.map(validate);
+    };
+
+    // Adds a profile to the registry, a profile with the same id is replaced
+    co.add = function (profile) {
+        profile = validate(profile);
+        for (var i = 0; i < registry.length; i++) {
+            if (registry[i].id === profile.id) {
+                registry[i] = profile;
+                return profile;
+            }
+        }
+        registry.push(profile);
+        return profile;
+    };
+
+    co.list = function () {
+        return registry.slice();
+    };
+
+    co.find = function (id) {
+        for (var i = 0; i < registry.length; i++) {
+            if (registry[i].id === id) {
+                return registry[i];
+            }
+        }
+        throw "Unknown coin: " + id;
+    };
+
+    // mainnet first, then the test networks the profile has prefixes for
+    co.networks = function (profile) {
+        return [co.MAINNET].concat(TEST_NETWORKS.filter(function (network) {
+            return profile.networks[network] !== undefined;
+        }));
+    };
+
+    /*
+     * The Config object cnUtilGen expects, with the prefixes of network (mainnet by default).
+     * networks keeps the prefixes of every network so addresses of another one can be told apart.
+     */
+    co.config = function (profile, network) {
+        network = network || co.MAINNET;
+        if (!profile.networks[network]) {
+            throw profile.coinName + " has no " + network;
+        }
+        var config = {
+            coinUnitPlaces: profile.coinUnitPlaces,
+            coinSymbol: profile.coinSymbol,
+            coinName: profile.coinName,
+            coinUriPrefix: profile.coinUriPrefix,
+            network: network,
+            networks: profile.networks
+        };
+        PREFIX_FIELDS.forEach(function (field) {
+            config[field] = profile.networks[network][field];
+        });
+        return config;
+    };
+
+    co.DEFAULT = PROFILES[0].id;
+
+    PROFILES.forEach(co.add);
+
+    return co;
+})();
@@ -0,0 +1,98 @@
+var encryptedKey = (function () {
+    'use strict';
+    var ek = {};
+
+    // Varint prefix that makes every encrypted key start with "XDNe", so it is never mistaken for a plain key
+    ek.PREFIX = 0xe9134;
+    ek.START = 'XDNe';
+    ek.VERSION = 1;
+
+    var KEY_SIZE = 32;
+    var CHECKSUM_SIZE = 4;
+    var BOX_SIZE = 4 * KEY_SIZE + nacl.secretbox.overheadLength;
+    // version, logN, r, p, salt, nonce, box and checksum after the prefix
+    var LENGTH = 4 + keyCrypt.SALT_SIZE + keyCrypt.NONCE_SIZE + BOX_SIZE + CHECKSUM_SIZE;
+
+    function byteHex(n) {
+        return ('0' + n.toString(16)).slice(-2);
+    }
+
+    ek.isEncrypted = function (str) {
+        return str.replace(/\s/g, '').slice(0, ek.START.length) === ek.START;
+    };
+
+    /*
+     * Encrypts the four keys of a wallet under a passphrase, like BIP38 does for Bitcoin.
+     * callback(error, progress, key) with the base58 encrypted key once done.
+     */
+    ek.encrypt = function (cnUtil, keys, pharse, params, callback) {
+        if (!pharse) {
+            return callback("Enter a passphrase");
+        }
+        var data = cnBase58.hextobin(keys.spend.pub + keys.view.pub + keys.spend.sec + keys.view.sec);
+        keyCrypt.encrypt(pharse, data, params, function (error, progress, sealed) {
+            if (error || !sealed) {
+                return callback(error, progress);
+            }
+            var hex = cnUtil.encode_varint(ek.PREFIX) + byteHex(ek.VERSION) + byteHex(params.logN) + byteHex(params.r) +
+                byteHex(params.p) + cnBase58.bintohex(sealed.salt) + cnBase58.bintohex(sealed.nonce) + cnBase58.bintohex(sealed.box);
+            callback(null, 1, cnBase58.encode(hex + cnUtil.cn_fast_hash(hex).slice(0, CHECKSUM_SIZE * 2)));
+        });
+    };
+
+    /*
+     * Reverse of encrypt, the checksum catches typos before the slow key derivation starts.
+     * callback(error, progress, keys) with keys in the same shape as create_address.
+     */
+    ek.decrypt = function (cnUtil, str, pharse, callback) {
+        var hex;
+        try {
+            hex = cnBase58.decode(str.replace(/\s/g, ''));
+        } catch (e) {
+            return callback("Invalid encrypted key");
+        }
+        var prefix = cnUtil.encode_varint(ek.PREFIX);
+        if (hex.slice(0, prefix.length) !== prefix) {
+            return callback("Not an encrypted key");
+        }
+        if (hex.length !== prefix.length + LENGTH * 2) {
+            return callback("Invalid encrypted key length");
+        }
+        var body = hex.slice(0, -CHECKSUM_SIZE * 2);
+        if (cnUtil.cn_fast_hash(body).slice(0, CHECKSUM_SIZE * 2) !== hex.slice(-CHECKSUM_SIZE * 2)) {
+            return callback("Invalid checksum, check the encrypted key for typos");
+        }
+        var bytes = cnBase58.hextobin(body.slice(prefix.length));
+        if (bytes[0] !== ek.VERSION) {
+            return callback("Unsupported encrypted key version: " + bytes[0]);
+        }
+        var params = {
+            logN: bytes[1],
+            r: bytes[2],
+            p: bytes[3]
+        };
+        var pos = 4;
+        var sealed = {
+            salt: bytes.subarray(pos, pos += keyCrypt.SALT_SIZE),
+            nonce: bytes.subarray(pos, pos += keyCrypt.NONCE_SIZE),
+            box: bytes.subarray(pos)
+        };
+        keyCrypt.decrypt(pharse, sealed, params, function (error, progress, data) {
+            if (error || !data) {
+                return callback(error, progress);
+            }
+            var keyHex = cnBase58.bintohex(data);
+            var keys = {
+                spend: { sec: keyHex.slice(128, 192), pub: keyHex.slice(0, 64) },
+                view: { sec: keyHex.slice(192, 256), pub: keyHex.slice(64, 128) }
+            };
+            if (!cnUtil.valid_keys(keys.view.pub, keys.view.sec, keys.spend.pub, keys.spend.sec)) {
+                return callback("Public keys do not match secret keys");
+            }
+            keys.public_addr = cnUtil.pubkeys_to_string(keys.spend.pub, keys.view.pub);
+            callback(null, 1, keys);
+        });
+    };
+
+    return ek;
+})();
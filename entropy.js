@@ -0,0 +1,74 @@
+var entropy = (function () {
+    'use strict';
+    var en = {};
+
+    // 32 bit words of collected events, hashed together with the browser random on mix
+    var pool = [];
+    var eventBits = 0;
+    var lastX = null, lastY = null;
+
+    en.TARGET_BITS = 256;
+
+    function now() {
+        // sub-millisecond timings carry the unpredictable part
+        return Math.floor((window.performance && performance.now ? performance.now() : Date.now()) * 1000) >>> 0;
+    }
+
+    // Each event is counted as 1 bit, much less than it adds to the pool, to stay on the safe side
+    en.addMouse = function (x, y) {
+        if (x === lastX && y === lastY) {
+            return;
+        }
+        lastX = x;
+        lastY = y;
+        pool.push(((x & 0xFFFF) << 16 | (y & 0xFFFF)) >>> 0, now());
+        eventBits++;
+    };
+
+    en.addKey = function (code) {
+        pool.push(code >>> 0, now());
+        eventBits++;
+    };
+
+    // Dice (1-6) and coin (H/T) results typed by the user
+    function parseRolls(text) {
+        text = text.replace(/\s/g, '').toUpperCase();
+        if (!/^[1-6HT]*$/.test(text)) {
+            throw "Use 1 to 6 for dice and H or T for coins";
+        }
+        return text;
+    }
+
+    en.rollsBits = function (text) {
+        var rolls = parseRolls(text);
+        var bits = 0;
+        for (var i = 0; i < rolls.length; i++) {
+            bits += rolls[i] === 'H' || rolls[i] === 'T' ? 1 : Math.log(6) / Math.LN2;
+        }
+        return bits;
+    };
+
+    en.bits = function (text) {
+        return eventBits + en.rollsBits(text || '');
+    };
+
+    // keccak(random | events | rolls) truncated to 32 bytes, the result is as strong as the
+    // best of its sources. The pool is emptied so collected events are never used twice.
+    en.mix = function (cnUtil, random, text) {
+        var hex = random;
+        for (var i = 0; i < pool.length; i++) {
+            hex += ('0000000' + pool[i].toString(16)).slice(-8);
+        }
+        hex += cnBase58.bintohex(cnBase58.strtobin(parseRolls(text || '')));
+        en.reset();
+        return cnUtil.keccak(hex, hex.length / 2, 32);
+    };
+
+    en.reset = function () {
+        pool = [];
+        eventBits = 0;
+        lastX = lastY = null;
+    };
+
+    return en;
+})();
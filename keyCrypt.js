@@ -0,0 +1,69 @@
+var keyCrypt = (function () {
+    'use strict';
+    var kc = {};
+
+    // scrypt stretches the passphrase, nacl.secretbox (XSalsa20-Poly1305) encrypts and authenticates the data
+    kc.DEFAULT_PARAMS = {
+        logN: 16,
+        r: 8,
+        p: 1
+    };
+    kc.SALT_SIZE = 16;
+    kc.NONCE_SIZE = nacl.secretbox.nonceLength;
+
+    function passwordBytes(pharse) {
+        return Array.prototype.slice.call(cnBase58.strtobin(unescape(encodeURIComponent(pharse.normalize('NFKD')))));
+    }
+
+    // callback(error, progress, key) with the 32 byte secretbox key once done
+    kc.deriveKey = function (pharse, salt, params, callback) {
+        if (!(params.logN >= 10 && params.logN <= 20) || !(params.r >= 1 && params.r <= 32) || !(params.p >= 1 && params.p <= 16)) {
+            return callback("Invalid scrypt parameters");
+        }
+        scrypt(passwordBytes(pharse), Array.prototype.slice.call(salt), Math.pow(2, params.logN), params.r, params.p,
+            nacl.secretbox.keyLength, function (error, progress, key) {
+                if (error) {
+                    return callback(error.message || error);
+                }
+                if (key) {
+                    return callback(null, 1, new Uint8Array(key));
+                }
+                return callback(null, progress);
+            });
+    };
+
+    // callback(error, progress, sealed) with sealed = {salt, nonce, box} as byte arrays
+    kc.encrypt = function (pharse, data, params, callback) {
+        var salt = nacl.randomBytes(kc.SALT_SIZE);
+        kc.deriveKey(pharse, salt, params, function (error, progress, key) {
+            if (error || !key) {
+                return callback(error, progress);
+            }
+            var nonce = nacl.randomBytes(kc.NONCE_SIZE);
+            callback(null, 1, {
+                salt: salt,
+                nonce: nonce,
+                box: nacl.secretbox(data, nonce, key)
+            });
+        });
+    };
+
+    // callback(error, progress, data), a wrong passphrase and changed data both fail authentication
+    kc.decrypt = function (pharse, sealed, params, callback) {
+        if (sealed.nonce.length !== kc.NONCE_SIZE || sealed.box.length < nacl.secretbox.overheadLength) {
+            return callback("Wrong passphrase or damaged data");
+        }
+        kc.deriveKey(pharse, sealed.salt, params, function (error, progress, key) {
+            if (error || !key) {
+                return callback(error, progress);
+            }
+            var data = nacl.secretbox.open(sealed.box, sealed.nonce, key);
+            if (!data) {
+                return callback("Wrong passphrase or damaged data");
+            }
+            callback(null, 1, data);
+        });
+    };
+
+    return kc;
+})();
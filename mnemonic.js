@@ -0,0 +1,1263 @@
+var mn_default_wordset = 'english';
+
+function mn_get_checksum_index(words, prefix_len) {
+    'use strict';
+    var trimmed_words = "";
+    for (var i = 0; i < words.length; i++) {
+        trimmed_words += words[i].slice(0, prefix_len);
+    }
+    var checksum = crc32.run(trimmed_words);
+    var index = checksum % words.length;
+    return index;
+}
+
+function mn_swap_endian_4byte(str) {
+    'use strict';
+    if (str.length !== 8) throw "Invalid input length: " + str.length;
+    return str.slice(6, 8) + str.slice(4, 6) + str.slice(2, 4) + str.slice(0, 2);
+}
+
+// Encode a hex string (e.g. a 32 byte spend key) as 3 words per 4 bytes plus a checksum word
+function mn_encode(str, wordset_name) {
+    'use strict';
+    wordset_name = wordset_name || mn_default_wordset;
+    var wordset = mn_words[wordset_name];
+    var out = [];
+    var n = wordset.words.length;
+    if (str.length % 8 !== 0) throw "Invalid input length: " + str.length;
+    for (var j = 0; j < str.length; j += 8) {
+        str = str.slice(0, j) + mn_swap_endian_4byte(str.slice(j, j + 8)) + str.slice(j + 8);
+    }
+    for (var i = 0; i < str.length; i += 8) {
+        var x = parseInt(str.substr(i, 8), 16);
+        var w1 = (x % n);
+        var w2 = (Math.floor(x / n) + w1) % n;
+        var w3 = (Math.floor(Math.floor(x / n) / n) + w2) % n;
+        out = out.concat([wordset.words[w1], wordset.words[w2], wordset.words[w3]]);
+    }
+    if (wordset.prefix_len > 0) {
+        out.push(out[mn_get_checksum_index(out, wordset.prefix_len)]);
+    }
+    return out.join(' ');
+}
+
+// Words may be abbreviated to their unique prefix, the wordset is detected when not given
+function mn_decode(str, wordset_name) {
+    'use strict';
+    wordset_name = wordset_name || mn_detect_wordset(str);
+    var wordset = mn_words[wordset_name];
+    var out = '';
+    var n = wordset.words.length;
+    var wlist = mn_split(str);
+    var checksum_word = '';
+    if (wlist.length < 12) throw "Too few words";
+    if ((wordset.prefix_len === 0 && (wlist.length % 3 !== 0)) ||
+        (wordset.prefix_len > 0 && (wlist.length % 3 === 2))) throw "Too few words";
+    if (wordset.prefix_len > 0 && (wlist.length % 3 === 0)) throw "The checksum word is missing";
+    if (wordset.prefix_len > 0) {
+        checksum_word = wlist.pop();
+    }
+    for (var i = 0; i < wlist.length; i += 3) {
+        var w1 = mn_word_index(wordset, wlist[i]);
+        var w2 = mn_word_index(wordset, wlist[i + 1]);
+        var w3 = mn_word_index(wordset, wlist[i + 2]);
+        if (w1 === -1 || w2 === -1 || w3 === -1) {
+            throw "Invalid word: " + wlist[w1 === -1 ? i : w2 === -1 ? i + 1 : i + 2];
+        }
+        var x = w1 + n * (((n - w1) + w2) % n) + n * n * (((n - w2) + w3) % n);
+        if (x > 0xFFFFFFFF) throw "Invalid word sequence";
+        out += mn_swap_endian_4byte(('0000000' + x.toString(16)).slice(-8));
+    }
+    if (wordset.prefix_len > 0) {
+        // compare full words, the prefixes of some wordsets are not unique
+        var index = mn_get_checksum_index(wlist.map(function(w) {
+            return wordset.words[mn_word_index(wordset, w)];
+        }), wordset.prefix_len);
+        var expected_checksum_word = wordset.words[mn_word_index(wordset, wlist[index])];
+        if (expected_checksum_word !== wordset.words[mn_word_index(wordset, checksum_word)]) {
+            throw "Invalid checksum word";
+        }
+    }
+    return out;
+}
+
+// Returns the name of the first wordset that contains every word and verifies the checksum
+function mn_detect_wordset(str) {
+    'use strict';
+    var wlist = mn_split(str);
+    var error = null;
+    for (var name in mn_words) {
+        if (!mn_words.hasOwnProperty(name)) {
+            continue;
+        }
+        var found = wlist.length > 0;
+        for (var i = 0; i < wlist.length && found; i++) {
+            found = mn_word_index(mn_words[name], wlist[i]) !== -1;
+        }
+        if (!found) {
+            continue;
+        }
+        try {
+            mn_decode(str, name);
+            return name;
+        } catch (e) {
+            error = error || e;
+        }
+    }
+    throw error || "Unknown seed language";
+}
+
+function mn_split(str) {
+    'use strict';
+    return str.normalize('NFC').toLowerCase().split(/\s+/).filter(function(w) { return w !== ''; });
+}
+
+// word is lower case like the words of mn_split, the German wordset has capitalized nouns
+function mn_word_index(wordset, word) {
+    'use strict';
+    var index = wordset.lower_words.indexOf(word);
+    if (index === -1 && wordset.prefix_len > 0) {
+        var unique_prefix = wordset.unique_prefixes[word.slice(0, wordset.unique_len)];
+        if (unique_prefix !== undefined && wordset.lower_words[unique_prefix].indexOf(word) === 0) {
+            index = unique_prefix;
+        }
+    }
+    return index;
+}
+
+var mn_words = {
+    english: {
+        name: "English",
+        prefix_len: 3,
+        words: [
+            "abbey", "abducts", "ability", "ablaze", "abnormal", "abort", "abrasive", "absorb",
+            "abyss", "academy", "aces", "aching", "acidic", "acoustic", "acquire", "across",
+            "actress", "acumen", "adapt", "addicted", "adept", "adhesive", "adjust", "adopt",
+            "adrenalin", "adult", "adventure", "aerial", "afar", "affair", "afield", "afloat",
+            "afoot", "afraid", "after", "against", "agenda", "aggravate", "agile", "aglow",
+            "agnostic", "agony", "agreed", "ahead", "aided", "ailments", "aimless", "airport",
+            "aisle", "ajar", "akin", "alarms", "album", "alchemy", "alerts", "algebra", "alkaline",
+            "alley", "almost", "aloof", "alpine", "already", "also", "altitude", "alumni", "always",
+            "amaze", "ambush", "amended", "amidst", "ammo", "amnesty", "among", "amply", "amused",
+            "anchor", "android", "anecdote", "angled", "ankle", "annoyed", "answers", "antics",
+            "anvil", "anxiety", "anybody", "apart", "apex", "aphid", "aplomb", "apology", "apply",
+            "apricot", "aptitude", "aquarium", "arbitrary", "archer", "ardent", "arena", "argue",
+            "arises", "army", "around", "arrow", "arsenic", "artistic", "ascend", "ashtray",
+            "aside", "asked", "asleep", "aspire", "assorted", "asylum", "athlete", "atlas", "atom",
+            "atrium", "attire", "auburn", "auctions", "audio", "august", "aunt", "austere",
+            "autumn", "avatar", "avidly", "avoid", "awakened", "awesome", "awful", "awkward",
+            "awning", "awoken", "axes", "axis", "axle", "aztec", "azure", "baby", "bacon", "badge",
+            "baffles", "bagpipe", "bailed", "bakery", "balding", "bamboo", "banjo", "baptism",
+            "basin", "batch", "bawled", "bays", "because", "beer", "befit", "begun", "behind",
+            "being", "below", "bemused", "benches", "berries", "bested", "betting", "bevel",
+            "beware", "beyond", "bias", "bicycle", "bids", "bifocals", "biggest", "bikini",
+            "bimonthly", "binocular", "biology", "biplane", "birth", "biscuit", "bite", "biweekly",
+            "blender", "blip", "bluntly", "boat", "bobsled", "bodies", "bogeys", "boil", "boldly",
+            "bomb", "border", "boss", "both", "bounced", "bovine", "bowling", "boxes", "boyfriend",
+            "broken", "brunt", "bubble", "buckets", "budget", "buffet", "bugs", "building", "bulb",
+            "bumper", "bunch", "business", "butter", "buying", "buzzer", "bygones", "byline",
+            "bypass", "cabin", "cactus", "cadets", "cafe", "cage", "cajun", "cake", "calamity",
+            "camp", "candy", "casket", "catch", "cause", "cavernous", "cease", "cedar", "ceiling",
+            "cell", "cement", "cent", "certain", "chlorine", "chrome", "cider", "cigar", "cinema",
+            "circle", "cistern", "citadel", "civilian", "claim", "click", "clue", "coal", "cobra",
+            "cocoa", "code", "coexist", "coffee", "cogs", "cohesive", "coils", "colony", "comb",
+            "cool", "copy", "corrode", "costume", "cottage", "cousin", "cowl", "criminal", "cube",
+            "cucumber", "cuddled", "cuffs", "cuisine", "cunning", "cupcake", "custom", "cycling",
+            "cylinder", "cynical", "dabbing", "dads", "daft", "dagger", "daily", "damp",
+            "dangerous", "dapper", "darted", "dash", "dating", "dauntless", "dawn", "daytime",
+            "dazed", "debut", "decay", "dedicated", "deepest", "deftly", "degrees", "dehydrate",
+            "deity", "dejected", "delayed", "demonstrate", "dented", "deodorant", "depth", "desk",
+            "devoid", "dewdrop", "dexterity", "dialect", "dice", "diet", "different", "digit",
+            "dilute", "dime", "dinner", "diode", "diplomat", "directed", "distance", "ditch",
+            "divers", "dizzy", "doctor", "dodge", "does", "dogs", "doing", "dolphin", "domestic",
+            "donuts", "doorway", "dormant", "dosage", "dotted", "double", "dove", "down", "dozen",
+            "dreams", "drinks", "drowning", "drunk", "drying", "dual", "dubbed", "duckling", "dude",
+            "duets", "duke", "dullness", "dummy", "dunes", "duplex", "duration", "dusted", "duties",
+            "dwarf", "dwelt", "dwindling", "dying", "dynamite", "dyslexic", "each", "eagle",
+            "earth", "easy", "eating", "eavesdrop", "eccentric", "echo", "eclipse", "economics",
+            "ecstatic", "eden", "edgy", "edited", "educated", "eels", "efficient", "eggs",
+            "egotistic", "eight", "either", "eject", "elapse", "elbow", "eldest", "eleven", "elite",
+            "elope", "else", "eluded", "emails", "ember", "emerge", "emit", "emotion", "empty",
+            "emulate", "energy", "enforce", "enhanced", "enigma", "enjoy", "enlist", "enmity",
+            "enough", "enraged", "ensign", "entrance", "envy", "epoxy", "equip", "erase", "erected",
+            "erosion", "error", "eskimos", "espionage", "essential", "estate", "etched", "eternal",
+            "ethics", "etiquette", "evaluate", "evenings", "evicted", "evolved", "examine",
+            "excess", "exhale", "exit", "exotic", "exquisite", "extra", "exult", "fabrics",
+            "factual", "fading", "fainted", "faked", "fall", "family", "fancy", "farming", "fatal",
+            "faulty", "fawns", "faxed", "fazed", "feast", "february", "federal", "feel", "feline",
+            "females", "fences", "ferry", "festival", "fetches", "fever", "fewest", "fiat",
+            "fibula", "fictional", "fidget", "fierce", "fifteen", "fight", "films", "firm",
+            "fishing", "fitting", "five", "fixate", "fizzle", "fleet", "flippant", "flying",
+            "foamy", "focus", "foes", "foggy", "foiled", "folding", "fonts", "foolish", "fossil",
+            "fountain", "fowls", "foxes", "foyer", "framed", "friendly", "frown", "fruit", "frying",
+            "fudge", "fuel", "fugitive", "fully", "fuming", "fungal", "furnished", "fuselage",
+            "future", "fuzzy", "gables", "gadget", "gags", "gained", "galaxy", "gambit", "gang",
+            "gasp", "gather", "gauze", "gave", "gawk", "gaze", "gearbox", "gecko", "geek", "gels",
+            "gemstone", "general", "geometry", "germs", "gesture", "getting", "geyser", "ghetto",
+            "ghost", "giant", "giddy", "gifts", "gigantic", "gills", "gimmick", "ginger", "girth",
+            "giving", "glass", "gleeful", "glide", "gnaw", "gnome", "goat", "goblet", "godfather",
+            "goes", "goggles", "going", "goldfish", "gone", "goodbye", "gopher", "gorilla",
+            "gossip", "gotten", "gourmet", "governing", "gown", "greater", "grunt", "guarded",
+            "guest", "guide", "gulp", "gumball", "guru", "gusts", "gutter", "guys", "gymnast",
+            "gypsy", "gyrate", "habitat", "hacksaw", "haggled", "hairy", "hamburger", "happens",
+            "hashing", "hatchet", "haunted", "having", "hawk", "haystack", "hazard", "hectare",
+            "hedgehog", "heels", "hefty", "height", "hemlock", "hence", "heron", "hesitate",
+            "hexagon", "hickory", "hiding", "highway", "hijack", "hiker", "hills", "himself",
+            "hinder", "hippo", "hire", "history", "hitched", "hive", "hoax", "hobby", "hockey",
+            "hoisting", "hold", "honked", "hookup", "hope", "hornet", "hospital", "hotel",
+            "hounded", "hover", "howls", "hubcaps", "huddle", "huge", "hull", "humid", "hunter",
+            "hurried", "husband", "huts", "hybrid", "hydrogen", "hyper", "iceberg", "icing", "icon",
+            "identity", "idiom", "idled", "idols", "igloo", "ignore", "iguana", "illness",
+            "imagine", "imbalance", "imitate", "impel", "inactive", "inbound", "incur",
+            "industrial", "inexact", "inflamed", "ingested", "initiate", "injury", "inkling",
+            "inline", "inmate", "innocent", "inorganic", "input", "inquest", "inroads", "insult",
+            "intended", "inundate", "invoke", "inwardly", "ionic", "irate", "iris", "irony",
+            "irritate", "island", "isolated", "issued", "italics", "itches", "items", "itinerary",
+            "itself", "ivory", "jabbed", "jackets", "jaded", "jagged", "jailed", "jamming",
+            "january", "jargon", "jaunt", "javelin", "jaws", "jazz", "jeans", "jeers", "jellyfish",
+            "jeopardy", "jerseys", "jester", "jetting", "jewels", "jigsaw", "jingle", "jittery",
+            "jive", "jobs", "jockey", "jogger", "joining", "joking", "jolted", "jostle", "journal",
+            "joyous", "jubilee", "judge", "juggled", "juicy", "jukebox", "july", "jump", "junk",
+            "jury", "justice", "juvenile", "kangaroo", "karate", "keep", "kennel", "kept",
+            "kernels", "kettle", "keyboard", "kickoff", "kidneys", "king", "kiosk", "kisses",
+            "kitchens", "kiwi", "knapsack", "knee", "knife", "knowledge", "knuckle", "koala",
+            "laboratory", "ladder", "lagoon", "lair", "lakes", "lamb", "language", "laptop",
+            "large", "last", "later", "launching", "lava", "lawsuit", "layout", "lazy", "lectures",
+            "ledge", "leech", "left", "legion", "leisure", "lemon", "lending", "leopard", "lesson",
+            "lettuce", "lexicon", "liar", "library", "licks", "lids", "lied", "lifestyle", "light",
+            "likewise", "lilac", "limits", "linen", "lion", "lipstick", "liquid", "listen",
+            "lively", "loaded", "lobster", "locker", "lodge", "lofty", "logic", "loincloth", "long",
+            "looking", "lopped", "lordship", "losing", "lottery", "loudly", "love", "lower",
+            "loyal", "lucky", "luggage", "lukewarm", "lullaby", "lumber", "lunar", "lurk", "lush",
+            "luxury", "lymph", "lynx", "lyrics", "macro", "madness", "magically", "mailed", "major",
+            "makeup", "malady", "mammal", "maps", "masterful", "match", "maul", "maverick",
+            "maximum", "mayor", "maze", "meant", "mechanic", "medicate", "meeting", "megabyte",
+            "melting", "memoir", "menu", "merger", "mesh", "metro", "mews", "mice", "midst",
+            "mighty", "mime", "mirror", "misery", "mittens", "mixture", "moat", "mobile", "mocked",
+            "mohawk", "moisture", "molten", "moment", "money", "moon", "mops", "morsel", "mostly",
+            "motherly", "mouth", "movement", "mowing", "much", "muddy", "muffin", "mugged",
+            "mullet", "mumble", "mundane", "muppet", "mural", "musical", "muzzle", "myriad",
+            "mystery", "myth", "nabbing", "nagged", "nail", "names", "nanny", "napkin", "narrate",
+            "nasty", "natural", "nautical", "navy", "nearby", "necklace", "needed", "negative",
+            "neither", "neon", "nephew", "nerves", "nestle", "network", "neutral", "never", "newt",
+            "nexus", "nibs", "niche", "niece", "nifty", "nightly", "nimbly", "nineteen", "nirvana",
+            "nitrogen", "nobody", "nocturnal", "nodes", "noises", "nomad", "noodles", "northern",
+            "nostril", "noted", "nouns", "novelty", "nowhere", "nozzle", "nuance", "nucleus",
+            "nudged", "nugget", "nuisance", "null", "number", "nuns", "nurse", "nutshell", "nylon",
+            "oaks", "oars", "oasis", "oatmeal", "obedient", "object", "obliged", "obnoxious",
+            "observant", "obtains", "obvious", "occur", "ocean", "october", "odds", "odometer",
+            "offend", "often", "oilfield", "ointment", "okay", "older", "olive", "olympics",
+            "omega", "omission", "omnibus", "onboard", "oncoming", "oneself", "ongoing", "onion",
+            "online", "onslaught", "onto", "onward", "oozed", "opacity", "opened", "opposite",
+            "optical", "opus", "orange", "orbit", "orchid", "orders", "organs", "origin",
+            "ornament", "orphans", "oscar", "ostrich", "otherwise", "otter", "ouch", "ought",
+            "ounce", "ourselves", "oust", "outbreak", "oval", "oven", "owed", "owls", "owner",
+            "oxidant", "oxygen", "oyster", "ozone", "pact", "paddles", "pager", "pairing", "palace",
+            "pamphlet", "pancakes", "paper", "paradise", "pastry", "patio", "pause", "pavements",
+            "pawnshop", "payment", "peaches", "pebbles", "peculiar", "pedantic", "peeled", "pegs",
+            "pelican", "pencil", "people", "pepper", "perfect", "pests", "petals", "phase",
+            "pheasants", "phone", "phrases", "physics", "piano", "picked", "pierce", "pigment",
+            "piloted", "pimple", "pinched", "pioneer", "pipeline", "pirate", "pistons", "pitched",
+            "pivot", "pixels", "pizza", "playful", "pledge", "pliers", "plotting", "plus",
+            "plywood", "poaching", "pockets", "podcast", "poetry", "point", "poker", "polar",
+            "ponies", "pool", "popular", "portents", "possible", "potato", "pouch", "poverty",
+            "powder", "pram", "present", "pride", "problems", "pruned", "prying", "psychic",
+            "public", "puck", "puddle", "puffin", "pulp", "pumpkins", "punch", "puppy", "purged",
+            "push", "putty", "puzzled", "pylons", "pyramid", "python", "queen", "quick", "quote",
+            "rabbits", "racetrack", "radar", "rafts", "rage", "railway", "raking", "rally",
+            "ramped", "randomly", "rapid", "rarest", "rash", "rated", "ravine", "rays", "razor",
+            "react", "rebel", "recipe", "reduce", "reef", "refer", "regular", "reheat", "reinvest",
+            "rejoices", "rekindle", "relic", "remedy", "renting", "reorder", "repent", "request",
+            "reruns", "rest", "return", "reunion", "revamp", "rewind", "rhino", "rhythm", "ribbon",
+            "richly", "ridges", "rift", "rigid", "rims", "ringing", "riots", "ripped", "rising",
+            "ritual", "river", "roared", "robot", "rockets", "rodent", "rogue", "roles", "romance",
+            "roomy", "roped", "roster", "rotate", "rounded", "rover", "rowboat", "royal", "ruby",
+            "rudely", "ruffled", "rugged", "ruined", "ruling", "rumble", "runway", "rural",
+            "rustled", "ruthless", "sabotage", "sack", "sadness", "safety", "saga", "sailor",
+            "sake", "salads", "sample", "sanity", "sapling", "sarcasm", "sash", "satin", "saucepan",
+            "saved", "sawmill", "saxophone", "sayings", "scamper", "scenic", "school", "science",
+            "scoop", "scrub", "scuba", "seasons", "second", "sedan", "seeded", "segments",
+            "seismic", "selfish", "semifinal", "sensible", "september", "sequence", "serving",
+            "session", "setup", "seventh", "sewage", "shackles", "shelter", "shipped", "shocking",
+            "shrugged", "shuffled", "shyness", "siblings", "sickness", "sidekick", "sieve",
+            "sifting", "sighting", "silk", "simplest", "sincerely", "sipped", "siren", "situated",
+            "sixteen", "sizes", "skater", "skew", "skirting", "skulls", "skydive", "slackens",
+            "sleepless", "slid", "slower", "slug", "smash", "smelting", "smidgen", "smog",
+            "smuggled", "snake", "sneeze", "sniff", "snout", "snug", "soapy", "sober", "soccer",
+            "soda", "software", "soggy", "soil", "solved", "somewhere", "sonic", "soothe",
+            "soprano", "sorry", "southern", "sovereign", "sowed", "soya", "space", "speedy",
+            "sphere", "spiders", "splendid", "spout", "sprig", "spud", "spying", "square",
+            "stacking", "stellar", "stick", "stockpile", "strained", "stunning", "stylishly",
+            "subtly", "succeed", "suddenly", "suede", "suffice", "sugar", "suitcase", "sulking",
+            "summon", "sunken", "superior", "surfer", "sushi", "suture", "swagger", "swept",
+            "swiftly", "sword", "swung", "syllabus", "symptoms", "syndrome", "syringe", "system",
+            "taboo", "tacit", "tadpoles", "tagged", "tail", "taken", "talent", "tamper", "tanks",
+            "tapestry", "tarnished", "tasked", "tattoo", "taunts", "tavern", "tawny", "taxi",
+            "teardrop", "technical", "tedious", "teeming", "tell", "template", "tender", "tepid",
+            "tequila", "terminal", "testing", "tether", "textbook", "thaw", "theatrics", "thirsty",
+            "thorn", "threaten", "thumbs", "thwart", "ticket", "tidy", "tiers", "tiger", "tilt",
+            "timber", "tinted", "tipsy", "tirade", "tissue", "titans", "toaster", "tobacco",
+            "today", "toenail", "toffee", "together", "toilet", "token", "tolerant", "tomorrow",
+            "tonic", "toolbox", "topic", "torch", "tossed", "total", "touchy", "towel", "toxic",
+            "toyed", "trash", "trendy", "tribal", "trolling", "truth", "trying", "tsunami", "tubes",
+            "tucks", "tudor", "tuesday", "tufts", "tugs", "tuition", "tulips", "tumbling", "tunnel",
+            "turnip", "tusks", "tutor", "tuxedo", "twang", "tweezers", "twice", "twofold", "tycoon",
+            "typist", "tyrant", "ugly", "ulcers", "ultimate", "umbrella", "umpire", "unafraid",
+            "unbending", "uncle", "under", "uneven", "unfit", "ungainly", "unhappy", "union",
+            "unjustly", "unknown", "unlikely", "unmask", "unnoticed", "unopened", "unplugs",
+            "unquoted", "unrest", "unsafe", "until", "unusual", "unveil", "unwind", "unzip",
+            "upbeat", "upcoming", "update", "upgrade", "uphill", "upkeep", "upload", "upon",
+            "upper", "upright", "upstairs", "uptight", "upwards", "urban", "urchins", "urgent",
+            "usage", "useful", "usher", "using", "usual", "utensils", "utility", "utmost", "utopia",
+            "uttered", "vacation", "vague", "vain", "value", "vampire", "vane", "vapidly", "vary",
+            "vastness", "vats", "vaults", "vector", "veered", "vegan", "vehicle", "vein", "velvet",
+            "venomous", "verification", "vessel", "veteran", "vexed", "vials", "vibrate", "victim",
+            "video", "viewpoint", "vigilant", "viking", "village", "vinegar", "violin", "vipers",
+            "virtual", "visited", "vitals", "vivid", "vixen", "vocal", "vogue", "voice", "volcano",
+            "vortex", "voted", "voucher", "vowels", "voyage", "vulture", "wade", "waffle",
+            "wagtail", "waist", "waking", "wallets", "wanted", "warped", "washing", "water",
+            "waveform", "waxing", "wayside", "weavers", "website", "wedge", "weekday", "weird",
+            "welders", "went", "wept", "were", "western", "wetsuit", "whale", "when", "whipped",
+            "whole", "wickets", "width", "wield", "wife", "wiggle", "wildly", "winter", "wipeout",
+            "wiring", "wise", "withdrawn", "wives", "wizard", "wobbly", "woes", "woken", "wolf",
+            "womanly", "wonders", "woozy", "worry", "wounded", "woven", "wrap", "wrist", "wrong",
+            "yacht", "yahoo", "yanks", "yard", "yawning", "yearbook", "yellow", "yesterday", "yeti",
+            "yields", "yodel", "yoga", "younger", "yoyo", "zapped", "zeal", "zebra", "zero",
+            "zesty", "zigzags", "zinger", "zippers", "zodiac", "zombie", "zones", "zoom"
+        ]
+    },
+    spanish: {
+        name: "Español",
+        prefix_len: 4,
+        words: [
+            "ábaco", "abdomen", "abeja", "abierto", "abogado", "abono", "aborto", "abrazo", "abrir",
+            "abuelo", "abuso", "acabar", "academia", "acceso", "acción", "aceite", "acelga",
+            "acento", "aceptar", "ácido", "aclarar", "acné", "acoger", "acoso", "activo", "acto",
+            "actriz", "actuar", "acudir", "acuerdo", "acusar", "adicto", "admitir", "adoptar",
+            "adorno", "aduana", "adulto", "aéreo", "afectar", "afición", "afinar", "afirmar",
+            "ágil", "agitar", "agonía", "agosto", "agotar", "agregar", "agrio", "agua", "agudo",
+            "águila", "aguja", "ahogo", "ahorro", "aire", "aislar", "ajedrez", "ajeno", "ajuste",
+            "alacrán", "alambre", "alarma", "alba", "álbum", "alcalde", "aldea", "alegre", "alejar",
+            "alerta", "aleta", "alfiler", "alga", "algodón", "aliado", "aliento", "alivio", "alma",
+            "almeja", "almíbar", "altar", "alteza", "altivo", "alto", "altura", "alumno", "alzar",
+            "amable", "amante", "amapola", "amargo", "amasar", "ámbar", "ámbito", "ameno", "amigo",
+            "amistad", "amor", "amparo", "amplio", "ancho", "anciano", "ancla", "andar", "andén",
+            "anemia", "ángulo", "anillo", "ánimo", "anís", "anotar", "antena", "antiguo", "antojo",
+            "anual", "anular", "anuncio", "añadir", "añejo", "año", "apagar", "aparato", "apetito",
+            "apio", "aplicar", "apodo", "aporte", "apoyo", "aprender", "aprobar", "apuesta",
+            "apuro", "arado", "araña", "arar", "árbitro", "árbol", "arbusto", "archivo", "arco",
+            "arder", "ardilla", "arduo", "área", "árido", "aries", "armonía", "arnés", "aroma",
+            "arpa", "arpón", "arreglo", "arroz", "arruga", "arte", "artista", "asa", "asado",
+            "asalto", "ascenso", "asegurar", "aseo", "asesor", "asiento", "asilo", "asistir",
+            "asno", "asombro", "áspero", "astilla", "astro", "astuto", "asumir", "asunto", "atajo",
+            "ataque", "atar", "atento", "ateo", "ático", "atleta", "átomo", "atraer", "atroz",
+            "atún", "audaz", "audio", "auge", "aula", "aumento", "ausente", "autor", "aval",
+            "avance", "avaro", "ave", "avellana", "avena", "avestruz", "avión", "aviso", "ayer",
+            "ayuda", "ayuno", "azafrán", "azar", "azote", "azúcar", "azufre", "azul", "baba",
+            "babor", "bache", "bahía", "baile", "bajar", "balanza", "balcón", "balde", "bambú",
+            "banco", "banda", "baño", "barba", "barco", "barniz", "barro", "báscula", "bastón",
+            "basura", "batalla", "batería", "batir", "batuta", "baúl", "bazar", "bebé", "bebida",
+            "bello", "besar", "beso", "bestia", "bicho", "bien", "bingo", "blanco", "bloque",
+            "blusa", "boa", "bobina", "bobo", "boca", "bocina", "boda", "bodega", "boina", "bola",
+            "bolero", "bolsa", "bomba", "bondad", "bonito", "bono", "bonsái", "borde", "borrar",
+            "bosque", "bote", "botín", "bóveda", "bozal", "bravo", "brazo", "brecha", "breve",
+            "brillo", "brinco", "brisa", "broca", "broma", "bronce", "brote", "bruja", "brusco",
+            "bruto", "buceo", "bucle", "bueno", "buey", "bufanda", "bufón", "búho", "buitre",
+            "bulto", "burbuja", "burla", "burro", "buscar", "butaca", "buzón", "caballo", "cabeza",
+            "cabina", "cabra", "cacao", "cadáver", "cadena", "caer", "café", "caída", "caimán",
+            "caja", "cajón", "cal", "calamar", "calcio", "caldo", "calidad", "calle", "calma",
+            "calor", "calvo", "cama", "cambio", "camello", "camino", "campo", "cáncer", "candil",
+            "canela", "canguro", "canica", "canto", "caña", "cañón", "caoba", "caos", "capaz",
+            "capitán", "capote", "captar", "capucha", "cara", "carbón", "cárcel", "careta", "carga",
+            "cariño", "carne", "carpeta", "carro", "carta", "casa", "casco", "casero", "caspa",
+            "castor", "catorce", "catre", "caudal", "causa", "cazo", "cebolla", "ceder", "cedro",
+            "celda", "célebre", "celoso", "célula", "cemento", "ceniza", "centro", "cerca", "cerdo",
+            "cereza", "cero", "cerrar", "certeza", "césped", "cetro", "chacal", "chaleco", "champú",
+            "chancla", "chapa", "charla", "chico", "chiste", "chivo", "choque", "choza", "chuleta",
+            "chupar", "ciclón", "ciego", "cielo", "cien", "cierto", "cifra", "cigarro", "cima",
+            "cinco", "cine", "cinta", "ciprés", "circo", "ciruela", "cisne", "cita", "ciudad",
+            "clamor", "clan", "claro", "clase", "clave", "cliente", "clima", "clínica", "cobre",
+            "cocción", "cochino", "cocina", "coco", "código", "codo", "cofre", "coger", "cohete",
+            "cojín", "cojo", "cola", "colcha", "colegio", "colgar", "colina", "collar", "colmo",
+            "columna", "combate", "comer", "comida", "cómodo", "compra", "conde", "conejo", "conga",
+            "conocer", "consejo", "contar", "copa", "copia", "corazón", "corbata", "corcho",
+            "cordón", "corona", "correr", "coser", "cosmos", "costa", "cráneo", "cráter", "crear",
+            "crecer", "creído", "crema", "cría", "crimen", "cripta", "crisis", "cromo", "crónica",
+            "croqueta", "crudo", "cruz", "cuadro", "cuarto", "cuatro", "cubo", "cubrir", "cuchara",
+            "cuello", "cuento", "cuerda", "cuesta", "cueva", "cuidar", "culebra", "culpa", "culto",
+            "cumbre", "cumplir", "cuna", "cuneta", "cuota", "cupón", "cúpula", "curar", "curioso",
+            "curso", "curva", "cutis", "dama", "danza", "dar", "dardo", "dátil", "deber", "débil",
+            "década", "decir", "dedo", "defensa", "definir", "dejar", "delfín", "delgado", "delito",
+            "demora", "denso", "dental", "deporte", "derecho", "derrota", "desayuno", "deseo",
+            "desfile", "desnudo", "destino", "desvío", "detalle", "detener", "deuda", "día",
+            "diablo", "diadema", "diamante", "diana", "diario", "dibujo", "dictar", "diente",
+            "dieta", "diez", "difícil", "digno", "dilema", "diluir", "dinero", "directo", "dirigir",
+            "disco", "diseño", "disfraz", "diva", "divino", "doble", "doce", "dolor", "domingo",
+            "don", "donar", "dorado", "dormir", "dorso", "dos", "dosis", "dragón", "droga", "ducha",
+            "duda", "duelo", "dueño", "dulce", "dúo", "duque", "durar", "dureza", "duro", "ébano",
+            "ebrio", "echar", "eco", "ecuador", "edad", "edición", "edificio", "editor", "educar",
+            "efecto", "eficaz", "eje", "ejemplo", "elefante", "elegir", "elemento", "elevar",
+            "elipse", "élite", "elixir", "elogio", "eludir", "embudo", "emitir", "emoción",
+            "empate", "empeño", "empleo", "empresa", "enano", "encargo", "enchufe", "encía",
+            "enemigo", "enero", "enfado", "enfermo", "engaño", "enigma", "enlace", "enorme",
+            "enredo", "ensayo", "enseñar", "entero", "entrar", "envase", "envío", "época", "equipo",
+            "erizo", "escala", "escena", "escolar", "escribir", "escudo", "esencia", "esfera",
+            "esfuerzo", "espada", "espejo", "espía", "esposa", "espuma", "esquí", "estar", "este",
+            "estilo", "estufa", "etapa", "eterno", "ética", "etnia", "evadir", "evaluar", "evento",
+            "evitar", "exacto", "examen", "exceso", "excusa", "exento", "exigir", "exilio",
+            "existir", "éxito", "experto", "explicar", "exponer", "extremo", "fábrica", "fábula",
+            "fachada", "fácil", "factor", "faena", "faja", "falda", "fallo", "falso", "faltar",
+            "fama", "familia", "famoso", "faraón", "farmacia", "farol", "farsa", "fase", "fatiga",
+            "fauna", "favor", "fax", "febrero", "fecha", "feliz", "feo", "feria", "feroz", "fértil",
+            "fervor", "festín", "fiable", "fianza", "fiar", "fibra", "ficción", "ficha", "fideo",
+            "fiebre", "fiel", "fiera", "fiesta", "figura", "fijar", "fijo", "fila", "filete",
+            "filial", "filtro", "fin", "finca", "fingir", "finito", "firma", "flaco", "flauta",
+            "flecha", "flor", "flota", "fluir", "flujo", "flúor", "fobia", "foca", "fogata",
+            "fogón", "folio", "folleto", "fondo", "forma", "forro", "fortuna", "forzar", "fosa",
+            "foto", "fracaso", "frágil", "franja", "frase", "fraude", "freír", "freno", "fresa",
+            "frío", "frito", "fruta", "fuego", "fuente", "fuerza", "fuga", "fumar", "función",
+            "funda", "furgón", "furia", "fusil", "fútbol", "futuro", "gacela", "gafas", "gaita",
+            "gajo", "gala", "galería", "gallo", "gamba", "ganar", "gancho", "ganga", "ganso",
+            "garaje", "garza", "gasolina", "gastar", "gato", "gavilán", "gemelo", "gemir", "gen",
+            "género", "genio", "gente", "geranio", "gerente", "germen", "gesto", "gigante",
+            "gimnasio", "girar", "giro", "glaciar", "globo", "gloria", "gol", "golfo", "goloso",
+            "golpe", "goma", "gordo", "gorila", "gorra", "gota", "goteo", "gozar", "grada",
+            "gráfico", "grano", "grasa", "gratis", "grave", "grieta", "grillo", "gripe", "gris",
+            "grito", "grosor", "grúa", "grueso", "grumo", "grupo", "guante", "guapo", "guardia",
+            "guerra", "guía", "guiño", "guion", "guiso", "guitarra", "gusano", "gustar", "haber",
+            "hábil", "hablar", "hacer", "hacha", "hada", "hallar", "hamaca", "harina", "haz",
+            "hazaña", "hebilla", "hebra", "hecho", "helado", "helio", "hembra", "herir", "hermano",
+            "héroe", "hervir", "hielo", "hierro", "hígado", "higiene", "hijo", "himno", "historia",
+            "hocico", "hogar", "hoguera", "hoja", "hombre", "hongo", "honor", "honra", "hora",
+            "hormiga", "horno", "hostil", "hoyo", "hueco", "huelga", "huerta", "hueso", "huevo",
+            "huida", "huir", "humano", "húmedo", "humilde", "humo", "hundir", "huracán", "hurto",
+            "icono", "ideal", "idioma", "ídolo", "iglesia", "iglú", "igual", "ilegal", "ilusión",
+            "imagen", "imán", "imitar", "impar", "imperio", "imponer", "impulso", "incapaz",
+            "índice", "inerte", "infiel", "informe", "ingenio", "inicio", "inmenso", "inmune",
+            "innato", "insecto", "instante", "interés", "íntimo", "intuir", "inútil", "invierno",
+            "ira", "iris", "ironía", "isla", "islote", "jabalí", "jabón", "jamón", "jarabe",
+            "jardín", "jarra", "jaula", "jazmín", "jefe", "jeringa", "jinete", "jornada", "joroba",
+            "joven", "joya", "juerga", "jueves", "juez", "jugador", "jugo", "juguete", "juicio",
+            "junco", "jungla", "junio", "juntar", "júpiter", "jurar", "justo", "juvenil", "juzgar",
+            "kilo", "koala", "labio", "lacio", "lacra", "lado", "ladrón", "lagarto", "lágrima",
+            "laguna", "laico", "lamer", "lámina", "lámpara", "lana", "lancha", "langosta", "lanza",
+            "lápiz", "largo", "larva", "lástima", "lata", "látex", "latir", "laurel", "lavar",
+            "lazo", "leal", "lección", "leche", "lector", "leer", "legión", "legumbre", "lejano",
+            "lengua", "lento", "leña", "león", "leopardo", "lesión", "letal", "letra", "leve",
+            "leyenda", "libertad", "libro", "licor", "líder", "lidiar", "lienzo", "liga", "ligero",
+            "lima", "límite", "limón", "limpio", "lince", "lindo", "línea", "lingote", "lino",
+            "linterna", "líquido", "liso", "lista", "litera", "litio", "litro", "llaga", "llama",
+            "llanto", "llave", "llegar", "llenar", "llevar", "llorar", "llover", "lluvia", "lobo",
+            "loción", "loco", "locura", "lógica", "logro", "lombriz", "lomo", "lonja", "lote",
+            "lucha", "lucir", "lugar", "lujo", "luna", "lunes", "lupa", "lustro", "luto", "luz",
+            "maceta", "macho", "madera", "madre", "maduro", "maestro", "mafia", "magia", "mago",
+            "maíz", "maldad", "maleta", "malla", "malo", "mamá", "mambo", "mamut", "manco", "mando",
+            "manejar", "manga", "maniquí", "manjar", "mano", "manso", "manta", "mañana", "mapa",
+            "máquina", "mar", "marco", "marea", "marfil", "margen", "marido", "mármol", "marrón",
+            "martes", "marzo", "masa", "máscara", "masivo", "matar", "materia", "matiz", "matriz",
+            "máximo", "mayor", "mazorca", "mecha", "medalla", "medio", "médula", "mejilla", "mejor",
+            "melena", "melón", "memoria", "menor", "mensaje", "mente", "menú", "mercado",
+            "merengue", "mérito", "mes", "mesón", "meta", "meter", "método", "metro", "mezcla",
+            "miedo", "miel", "miembro", "miga", "mil", "milagro", "militar", "millón", "mimo",
+            "mina", "minero", "mínimo", "minuto", "miope", "mirar", "misa", "miseria", "misil",
+            "mismo", "mitad", "mito", "mochila", "moción", "moda", "modelo", "moho", "mojar",
+            "molde", "moler", "molino", "momento", "momia", "monarca", "moneda", "monja", "monto",
+            "moño", "morada", "morder", "moreno", "morir", "morro", "morsa", "mortal", "mosca",
+            "mostrar", "motivo", "mover", "móvil", "mozo", "mucho", "mudar", "mueble", "muela",
+            "muerte", "muestra", "mugre", "mujer", "mula", "muleta", "multa", "mundo", "muñeca",
+            "mural", "muro", "músculo", "museo", "musgo", "música", "muslo", "nácar", "nación",
+            "nadar", "naipe", "naranja", "nariz", "narrar", "nasal", "natal", "nativo", "natural",
+            "náusea", "naval", "nave", "navidad", "necio", "néctar", "negar", "negocio", "negro",
+            "neón", "nervio", "neto", "neutro", "nevar", "nevera", "nicho", "nido", "niebla",
+            "nieto", "niñez", "niño", "nítido", "nivel", "nobleza", "noche", "nómina", "noria",
+            "norma", "norte", "nota", "noticia", "novato", "novela", "novio", "nube", "nuca",
+            "núcleo", "nudillo", "nudo", "nuera", "nueve", "nuez", "nulo", "número", "nutria",
+            "oasis", "obeso", "obispo", "objeto", "obra", "obrero", "observar", "obtener", "obvio",
+            "oca", "ocaso", "océano", "ochenta", "ocho", "ocio", "ocre", "octavo", "octubre",
+            "oculto", "ocupar", "ocurrir", "odiar", "odio", "odisea", "oeste", "ofensa", "oferta",
+            "oficio", "ofrecer", "ogro", "oído", "oír", "ojo", "ola", "oleada", "olfato", "olivo",
+            "olla", "olmo", "olor", "olvido", "ombligo", "onda", "onza", "opaco", "opción", "ópera",
+            "opinar", "oponer", "optar", "óptica", "opuesto", "oración", "orador", "oral", "órbita",
+            "orca", "orden", "oreja", "órgano", "orgía", "orgullo", "oriente", "origen", "orilla",
+            "oro", "orquesta", "oruga", "osadía", "oscuro", "osezno", "oso", "ostra", "otoño",
+            "otro", "oveja", "óvulo", "óxido", "oxígeno", "oyente", "ozono", "pacto", "padre",
+            "paella", "página", "pago", "país", "pájaro", "palabra", "palco", "paleta", "pálido",
+            "palma", "paloma", "palpar", "pan", "panal", "pánico", "pantera", "pañuelo", "papá",
+            "papel", "papilla", "paquete", "parar", "parcela", "pared", "parir", "paro", "párpado",
+            "parque", "párrafo", "parte", "pasar", "paseo", "pasión", "paso", "pasta", "pata",
+            "patio", "patria", "pausa", "pauta", "pavo", "payaso", "peatón", "pecado", "pecera",
+            "pecho", "pedal", "pedir", "pegar", "peine", "pelar", "peldaño", "pelea", "peligro",
+            "pellejo", "pelo", "peluca", "pena", "pensar", "peñón", "peón", "peor", "pepino",
+            "pequeño", "pera", "percha", "perder", "pereza", "perfil", "perico", "perla", "permiso",
+            "perro", "persona", "pesa", "pesca", "pésimo", "pestaña", "pétalo", "petróleo", "pez",
+            "pezuña", "picar", "pichón", "pie", "piedra", "pierna", "pieza", "pijama", "pilar",
+            "piloto", "pimienta", "pino", "pintor", "pinza", "piña", "piojo", "pipa", "pirata",
+            "pisar", "piscina", "piso", "pista", "pitón", "pizca", "placa", "plan", "plata",
+            "playa", "plaza", "pleito", "pleno", "plomo", "pluma", "plural", "pobre", "poco",
+            "poder", "podio", "poema", "poesía", "poeta", "polen", "policía", "pollo", "polvo",
+            "pomada", "pomelo", "pomo", "pompa", "poner", "porción", "portal", "posada", "poseer",
+            "posible", "poste", "potencia", "potro", "pozo", "prado", "precoz", "pregunta",
+            "premio", "prensa", "preso", "previo", "primo", "príncipe", "prisión", "privar", "proa",
+            "probar", "proceso", "producto", "proeza", "profesor", "programa", "prole", "promesa",
+            "pronto", "propio", "próximo", "prueba", "público", "puchero", "pudor", "pueblo",
+            "puerta", "puesto", "pulga", "pulir", "pulmón", "pulpo", "pulso", "puma", "punto",
+            "puñal", "puño", "pupa", "pupila", "puré", "quedar", "queja", "quemar", "querer",
+            "queso", "quieto", "química", "quince", "quitar", "rábano", "rabia", "rabo", "ración",
+            "radical", "raíz", "rama", "rampa", "rancho", "rango", "rapaz", "rápido", "rapto",
+            "rasgo", "raspa", "rato", "rayo", "raza", "razón", "reacción", "realidad", "rebaño",
+            "rebote", "recaer", "receta", "rechazo", "recoger", "recreo", "recto", "recurso", "red",
+            "redondo", "reducir", "reflejo", "reforma", "refrán", "refugio", "regalo", "regir",
+            "regla", "regreso", "rehén", "reino", "reír", "reja", "relato", "relevo", "relieve",
+            "relleno", "reloj", "remar", "remedio", "remo", "rencor", "rendir", "renta", "reparto",
+            "repetir", "reposo", "reptil", "res", "rescate", "resina", "respeto", "resto",
+            "resumen", "retiro", "retorno", "retrato", "reunir", "revés", "revista", "rey", "rezar",
+            "rico", "riego", "rienda", "riesgo", "rifa", "rígido", "rigor", "rincón", "riñón",
+            "río", "riqueza", "risa", "ritmo", "rito"
+        ]
+    },
+    german: {
+        name: "Deutsch",
+        prefix_len: 4,
+        words: [
+            "Abakus", "Abart", "abbilden", "Abbruch", "Abdrift", "Abendrot", "Abfahrt", "abfeuern",
+            "Abflug", "abfragen", "Abglanz", "abhärten", "abheben", "Abhilfe", "Abitur", "Abkehr",
+            "Ablauf", "ablecken", "Ablösung", "Abnehmer", "abnutzen", "Abonnent", "Abrasion",
+            "Abrede", "abrüsten", "Absicht", "Absprung", "Abstand", "absuchen", "Abteil",
+            "Abundanz", "abwarten", "Abwurf", "Abzug", "Achse", "Achtung", "Acker", "Aderlass",
+            "Adler", "Admiral", "Adresse", "Affe", "Affront", "Afrika", "Aggregat", "Agilität",
+            "ähneln", "Ahnung", "Ahorn", "Akazie", "Akkord", "Akrobat", "Aktfoto", "Aktivist",
+            "Albatros", "Alchimie", "Alemanne", "Alibi", "Alkohol", "Allee", "Allüre", "Almosen",
+            "Almweide", "Aloe", "Alpaka", "Alpental", "Alphabet", "Alpinist", "Alraune", "Altbier",
+            "Alter", "Altflöte", "Altruist", "Alublech", "Aludose", "Amateur", "Amazonas", "Ameise",
+            "Amnesie", "Amok", "Ampel", "Amphibie", "Ampulle", "Amsel", "Amulett", "Anakonda",
+            "Analogie", "Ananas", "Anarchie", "Anatomie", "Anbau", "Anbeginn", "anbieten",
+            "Anblick", "ändern", "andocken", "Andrang", "anecken", "Anflug", "Anfrage", "Anführer",
+            "Angebot", "Angler", "Anhalter", "Anhöhe", "Animator", "Anis", "Anker", "ankleben",
+            "Ankunft", "Anlage", "anlocken", "Anmut", "Annahme", "Anomalie", "Anonymus", "Anorak",
+            "anpeilen", "Anrecht", "Anruf", "Ansage", "Anschein", "Ansicht", "Ansporn", "Anteil",
+            "Antlitz", "Antrag", "Antwort", "Anwohner", "Aorta", "Apfel", "Appetit", "Applaus",
+            "Aquarium", "Arbeit", "Arche", "Argument", "Arktis", "Armband", "Aroma", "Asche",
+            "Askese", "Asphalt", "Asteroid", "Ästhetik", "Astronom", "Atelier", "Athlet",
+            "Atlantik", "Atmung", "Audienz", "aufatmen", "Auffahrt", "aufholen", "aufregen",
+            "Aufsatz", "Auftritt", "Aufwand", "Augapfel", "Auktion", "Ausbruch", "Ausflug",
+            "Ausgabe", "Aushilfe", "Ausland", "Ausnahme", "Aussage", "Autobahn", "Avocado",
+            "Axthieb", "Bach", "backen", "Badesee", "Bahnhof", "Balance", "Balkon", "Ballett",
+            "Balsam", "Banane", "Bandage", "Bankett", "Barbar", "Barde", "Barett", "Bargeld",
+            "Barkasse", "Barriere", "Bart", "Bass", "Bastler", "Batterie", "Bauch", "Bauer",
+            "Bauholz", "Baujahr", "Baum", "Baustahl", "Bauteil", "Bauweise", "Bazar", "beachten",
+            "Beatmung", "beben", "Becher", "Becken", "bedanken", "beeilen", "beenden", "Beere",
+            "befinden", "Befreier", "Begabung", "Begierde", "begrüßen", "Beiboot", "Beichte",
+            "Beifall", "Beigabe", "Beil", "Beispiel", "Beitrag", "beizen", "bekommen", "beladen",
+            "Beleg", "bellen", "belohnen", "Bemalung", "Bengel", "Benutzer", "Benzin", "beraten",
+            "Bereich", "Bergluft", "Bericht", "Bescheid", "Besitz", "besorgen", "Bestand", "Besuch",
+            "betanken", "beten", "betören", "Bett", "Beule", "Beute", "Bewegung", "bewirken",
+            "Bewohner", "bezahlen", "Bezug", "biegen", "Biene", "Bierzelt", "bieten", "Bikini",
+            "Bildung", "Billard", "binden", "Biobauer", "Biologe", "Bionik", "Biotop", "Birke",
+            "Bison", "Bitte", "Biwak", "Bizeps", "blasen", "Blatt", "Blauwal", "Blende", "Blick",
+            "Blitz", "Blockade", "Blödelei", "Blondine", "Blues", "Blume", "Blut", "Bodensee",
+            "Bogen", "Boje", "Bollwerk", "Bonbon", "Bonus", "Boot", "Bordarzt", "Börse", "Böschung",
+            "Boudoir", "Boxkampf", "Boykott", "Brahms", "Brandung", "Brauerei", "Brecher",
+            "Breitaxt", "Bremse", "brennen", "Brett", "Brief", "Brigade", "Brillanz", "bringen",
+            "brodeln", "Brosche", "Brötchen", "Brücke", "Brunnen", "Brüste", "Brutofen", "Buch",
+            "Büffel", "Bugwelle", "Bühne", "Buletten", "Bullauge", "Bumerang", "bummeln",
+            "Buntglas", "Bürde", "Burgherr", "Bursche", "Busen", "Buslinie", "Bussard", "Butangas",
+            "Butter", "Cabrio", "campen", "Captain", "Cartoon", "Cello", "Chalet", "Charisma",
+            "Chefarzt", "Chiffon", "Chipsatz", "Chirurg", "Chor", "Chronik", "Chuzpe", "Clubhaus",
+            "Cockpit", "Codewort", "Cognac", "Coladose", "Computer", "Coupon", "Cousin", "Cracking",
+            "Crash", "Curry", "Dach", "Dackel", "daddeln", "daliegen", "Dame", "Dammbau", "Dämon",
+            "Dampflok", "Dank", "Darm", "Datei", "Datsche", "Datteln", "Datum", "Dauer", "Daunen",
+            "Deckel", "Decoder", "Defekt", "Degen", "Dehnung", "Deiche", "Dekade", "Dekor",
+            "Delfin", "Demut", "denken", "Deponie", "Design", "Desktop", "Dessert", "Detail",
+            "Detektiv", "Dezibel", "Diadem", "Diagnose", "Dialekt", "Diamant", "Dichter",
+            "Dickicht", "Diesel", "Diktat", "Diplom", "Direktor", "Dirne", "Diskurs", "Distanz",
+            "Docht", "Dohle", "Dolch", "Domäne", "Donner", "Dorade", "Dorf", "Dörrobst", "Dorsch",
+            "Dossier", "Dozent", "Drachen", "Draht", "Drama", "Drang", "Drehbuch", "Dreieck",
+            "Dressur", "Drittel", "Drossel", "Druck", "Duell", "Duft", "Düne", "Dünung", "dürfen",
+            "Duschbad", "Düsenjet", "Dynamik", "Ebbe", "Echolot", "Echse", "Eckball", "Edding",
+            "Edelweiß", "Eden", "Edition", "Efeu", "Effekte", "Egoismus", "Ehre", "Eiablage",
+            "Eiche", "Eidechse", "Eidotter", "Eierkopf", "Eigelb", "Eiland", "Eilbote", "Eimer",
+            "einatmen", "Einband", "Eindruck", "Einfall", "Eingang", "Einkauf", "einladen",
+            "Einöde", "Einrad", "Eintopf", "Einwurf", "Einzug", "Eisbär", "Eisen", "Eishöhle",
+            "Eismeer", "Eiweiß", "Ekstase", "Elan", "Elch", "Elefant", "Eleganz", "Element", "Elfe",
+            "Elite", "Elixier", "Ellbogen", "Eloquenz", "Emigrant", "Emission", "Emotion",
+            "Empathie", "Empfang", "Endzeit", "Energie", "Engpass", "Enkel", "Enklave", "Ente",
+            "entheben", "Entität", "entladen", "Entwurf", "Episode", "Epoche", "erachten",
+            "Erbauer", "erblühen", "Erdbeere", "Erde", "Erdgas", "Erdkunde", "Erdnuss", "Erdöl",
+            "Erdteil", "Ereignis", "Eremit", "erfahren", "Erfolg", "erfreuen", "erfüllen",
+            "Ergebnis", "erhitzen", "erkalten", "erkennen", "erleben", "Erlösung", "ernähren",
+            "erneuern", "Ernte", "Eroberer", "eröffnen", "Erosion", "Erotik", "Erpel", "erraten",
+            "Erreger", "erröten", "Ersatz", "Erstflug", "Ertrag", "Eruption", "erwarten",
+            "erwidern", "Erzbau", "Erzeuger", "erziehen", "Esel", "Eskimo", "Eskorte", "Espe",
+            "Espresso", "essen", "Etage", "Etappe", "Etat", "Ethik", "Etikett", "Etüde", "Eule",
+            "Euphorie", "Europa", "Everest", "Examen", "Exil", "Exodus", "Extrakt", "Fabel",
+            "Fabrik", "Fachmann", "Fackel", "Faden", "Fagott", "Fahne", "Faible", "Fairness",
+            "Fakt", "Fakultät", "Falke", "Fallobst", "Fälscher", "Faltboot", "Familie", "Fanclub",
+            "Fanfare", "Fangarm", "Fantasie", "Farbe", "Farmhaus", "Farn", "Fasan", "Faser",
+            "Fassung", "fasten", "Faulheit", "Fauna", "Faust", "Favorit", "Faxgerät", "Fazit",
+            "fechten", "Federboa", "Fehler", "Feier", "Feige", "feilen", "Feinripp", "Feldbett",
+            "Felge", "Fellpony", "Felswand", "Ferien", "Ferkel", "Fernweh", "Ferse", "Fest",
+            "Fettnapf", "Feuer", "Fiasko", "Fichte", "Fiktion", "Film", "Filter", "Filz",
+            "Finanzen", "Findling", "Finger", "Fink", "Finnwal", "Fisch", "Fitness", "Fixpunkt",
+            "Fixstern", "Fjord", "Flachbau", "Flagge", "Flamenco", "Flanke", "Flasche", "Flaute",
+            "Fleck", "Flegel", "flehen", "Fleisch", "fliegen", "Flinte", "Flirt", "Flocke", "Floh",
+            "Floskel", "Floß", "Flöte", "Flugzeug", "Flunder", "Flusstal", "Flutung", "Fockmast",
+            "Fohlen", "Föhnlage", "Fokus", "folgen", "Foliant", "Folklore", "Fontäne", "Förde",
+            "Forelle", "Format", "Forscher", "Fortgang", "Forum", "Fotograf", "Frachter",
+            "Fragment", "Fraktion", "fräsen", "Frauenpo", "Freak", "Fregatte", "Freiheit", "Freude",
+            "Frieden", "Frohsinn", "Frosch", "Frucht", "Frühjahr", "Fuchs", "Fügung", "fühlen",
+            "Füller", "Fundbüro", "Funkboje", "Funzel", "Furnier", "Fürsorge", "Fusel", "Fußbad",
+            "Futteral", "Gabelung", "gackern", "Gage", "gähnen", "Galaxie", "Galeere", "Galopp",
+            "Gameboy", "Gamsbart", "Gandhi", "Gang", "Garage", "Gardine", "Garküche", "Garten",
+            "Gasthaus", "Gattung", "gaukeln", "Gazelle", "Gebäck", "Gebirge", "Gebräu", "Geburt",
+            "Gedanke", "Gedeck", "Gedicht", "Gefahr", "Gefieder", "Geflügel", "Gefühl", "Gegend",
+            "Gehirn", "Gehöft", "Gehweg", "Geige", "Geist", "Gelage", "Geld", "Gelenk", "Gelübde",
+            "Gemälde", "Gemeinde", "Gemüse", "genesen", "Genuss", "Gepäck", "Geranie", "Gericht",
+            "Germane", "Geruch", "Gesang", "Geschenk", "Gesetz", "Gesindel", "Gesöff", "Gespan",
+            "Gestade", "Gesuch", "Getier", "Getränk", "Getümmel", "Gewand", "Geweih", "Gewitter",
+            "Gewölbe", "Geysir", "Giftzahn", "Gipfel", "Giraffe", "Gitarre", "glänzen", "Glasauge",
+            "Glatze", "Gleis", "Globus", "Glück", "glühen", "Glutofen", "Goldzahn", "Gondel",
+            "gönnen", "Gottheit", "graben", "Grafik", "Grashalm", "Graugans", "greifen", "Grenze",
+            "grillen", "Groschen", "Grotte", "Grube", "Grünalge", "Gruppe", "gruseln", "Gulasch",
+            "Gummibär", "Gurgel", "Gürtel", "Güterzug", "Haarband", "Habicht", "hacken", "hadern",
+            "Hafen", "Hagel", "Hähnchen", "Haifisch", "Haken", "Halbaffe", "Halsader", "halten",
+            "Halunke", "Handbuch", "Hanf", "Harfe", "Harnisch", "härten", "Harz", "Hasenohr",
+            "Haube", "hauchen", "Haupt", "Haut", "Havarie", "Hebamme", "hecheln", "Heck",
+            "Hedonist", "Heiler", "Heimat", "Heizung", "Hektik", "Held", "helfen", "Helium", "Hemd",
+            "hemmen", "Hengst", "Herd", "Hering", "Herkunft", "Hermelin", "Herrchen", "Herzdame",
+            "Heulboje", "Hexe", "Hilfe", "Himbeere", "Himmel", "Hingabe", "hinhören", "Hinweis",
+            "Hirsch", "Hirte", "Hitzkopf", "Hobel", "Hochform", "Hocker", "hoffen", "Hofhund",
+            "Hofnarr", "Höhenzug", "Hohlraum", "Hölle", "Holzboot", "Honig", "Honorar", "horchen",
+            "Hörprobe", "Höschen", "Hotel", "Hubraum", "Hufeisen", "Hügel", "huldigen", "Hülle",
+            "Humbug", "Hummer", "Humor", "Hund", "Hunger", "Hupe", "Hürde", "Hurrikan", "Hydrant",
+            "Hypnose", "Ibis", "Idee", "Idiot", "Igel", "Illusion", "Imitat", "impfen", "Import",
+            "Inferno", "Ingwer", "Inhalte", "Inland", "Insekt", "Ironie", "Irrfahrt", "Irrtum",
+            "Isolator", "Istwert", "Jacke", "Jade", "Jagdhund", "Jäger", "Jaguar", "Jahr",
+            "Jähzorn", "Jazzfest", "Jetpilot", "jobben", "Jochbein", "jodeln", "Jodsalz", "Jolle",
+            "Journal", "Jubel", "Junge", "Junimond", "Jupiter", "Jutesack", "Juwel", "Kabarett",
+            "Kabine", "Kabuff", "Käfer", "Kaffee", "Kahlkopf", "Kaimauer", "Kajüte", "Kaktus",
+            "Kaliber", "Kaltluft", "Kamel", "kämmen", "Kampagne", "Kanal", "Känguru", "Kanister",
+            "Kanone", "Kante", "Kanu", "kapern", "Kapitän", "Kapuze", "Karneval", "Karotte",
+            "Käsebrot", "Kasper", "Kastanie", "Katalog", "Kathode", "Katze", "kaufen", "Kaugummi",
+            "Kauz", "Kehle", "Keilerei", "Keksdose", "Kellner", "Keramik", "Kerze", "Kessel",
+            "Kette", "keuchen", "kichern", "Kielboot", "Kindheit", "Kinnbart", "Kinosaal", "Kiosk",
+            "Kissen", "Klammer", "Klang", "Klapprad", "Klartext", "kleben", "Klee", "Kleinod",
+            "Klima", "Klingel", "Klippe", "Klischee", "Kloster", "Klugheit", "Klüngel", "kneten",
+            "Knie", "Knöchel", "knüpfen", "Kobold", "Kochbuch", "Kohlrabi", "Koje", "Kokosöl",
+            "Kolibri", "Kolumne", "Kombüse", "Komiker", "kommen", "Konto", "Konzept", "Kopfkino",
+            "Kordhose", "Korken", "Korsett", "Kosename", "Krabbe", "Krach", "Kraft", "Krähe",
+            "Kralle", "Krapfen", "Krater", "kraulen", "Kreuz", "Krokodil", "Kröte", "Kugel",
+            "Kuhhirt", "Kühnheit", "Künstler", "Kurort", "Kurve", "Kurzfilm", "kuscheln", "küssen",
+            "Kutter", "Labor", "lachen", "Lackaffe", "Ladeluke", "Lagune", "Laib", "Lakritze",
+            "Lammfell", "Land", "Langmut", "Lappalie", "Last", "Laterne", "Latzhose", "Laubsäge",
+            "laufen", "Laune", "Lausbub", "Lavasee", "Leben", "Leder", "Leerlauf", "Lehm", "Lehrer",
+            "leihen", "Lektüre", "Lenker", "Lerche", "Leseecke", "Leuchter", "Lexikon", "Libelle",
+            "Libido", "Licht", "Liebe", "liefern", "Liftboy", "Limonade", "Lineal", "Linoleum",
+            "List", "Liveband", "Lobrede", "locken", "Löffel", "Logbuch", "Logik", "Lohn", "Loipe",
+            "Lokal", "Lorbeer", "Lösung", "löten", "Lottofee", "Löwe", "Luchs", "Luder", "Luftpost",
+            "Luke", "Lümmel", "Lunge", "lutschen", "Luxus", "Macht", "Magazin", "Magier", "Magnet",
+            "mähen", "Mahlzeit", "Mahnmal", "Maibaum", "Maisbrei", "Makel", "malen", "Mammut",
+            "Maniküre", "Mantel", "Marathon", "Marder", "Marine", "Marke", "Marmor", "Märzluft",
+            "Maske", "Maßanzug", "Maßkrug", "Mastkorb", "Material", "Matratze", "Mauerbau",
+            "Maulkorb", "Mäuschen", "Mäzen", "Medium", "Meinung", "melden", "Melodie", "Mensch",
+            "Merkmal", "Messe", "Metall", "Meteor", "Methode", "Metzger", "Mieze", "Milchkuh",
+            "Mimose", "Minirock", "Minute", "mischen", "Missetat", "mitgehen", "Mittag", "Mixtape",
+            "Möbel", "Modul", "mögen", "Möhre", "Molch", "Moment", "Monat", "Mondflug", "Monitor",
+            "Monokini", "Monster", "Monument", "Moorhuhn", "Moos", "Möpse", "Moral", "Mörtel",
+            "Motiv", "Motorrad", "Möwe", "Mühe", "Mulatte", "Müller", "Mumie", "Mund", "Münze",
+            "Muschel", "Muster", "Mythos", "Nabel", "Nachtzug", "Nackedei", "Nagel", "Nähe",
+            "Nähnadel", "Namen", "Narbe", "Narwal", "Nasenbär", "Natur", "Nebel", "necken", "Neffe",
+            "Neigung", "Nektar", "Nenner", "Neptun", "Nerz", "Nessel", "Nestbau", "Netz", "Neubau",
+            "Neuerung", "Neugier", "nicken", "Niere", "Nilpferd", "nisten", "Nocke", "Nomade",
+            "Nordmeer", "Notdurft", "Notstand", "Notwehr", "Nudismus", "Nuss", "Nutzhanf", "Oase",
+            "Obdach", "Oberarzt", "Objekt", "Oboe", "Obsthain", "Ochse", "Odyssee", "Ofenholz",
+            "öffnen", "Ohnmacht", "Ohrfeige", "Ohrwurm", "Ökologie", "Oktave", "Ölberg", "Olive",
+            "Ölkrise", "Omelett", "Onkel", "Oper", "Optiker", "Orange", "Orchidee", "ordnen",
+            "Orgasmus", "Orkan", "Ortskern", "Ortung", "Ostasien", "Ozean", "Paarlauf", "Packeis",
+            "paddeln", "Paket", "Palast", "Pandabär", "Panik", "Panorama", "Panther", "Papagei",
+            "Papier", "Paprika", "Paradies", "Parka", "Parodie", "Partner", "Passant", "Patent",
+            "Patzer", "Pause", "Pavian", "Pedal", "Pegel", "peilen", "Perle", "Person", "Pfad",
+            "Pfau", "Pferd", "Pfleger", "Physik", "Pier", "Pilotwal", "Pinzette", "Piste", "Plakat",
+            "Plankton", "Platin", "Plombe", "plündern", "Pobacke", "Pokal", "polieren", "Popmusik",
+            "Porträt", "Posaune", "Postamt", "Pottwal", "Pracht", "Pranke", "Preis", "Primat",
+            "Prinzip", "Protest", "Proviant", "Prüfung", "Pubertät", "Pudding", "Pullover",
+            "Pulsader", "Punkt", "Pute", "Putsch", "Puzzle", "Python", "quaken", "Qualle", "Quark",
+            "Quellsee", "Querkopf", "Quitte", "Quote", "Rabauke", "Rache", "Radclub", "Radhose",
+            "Radio", "Radtour", "Rahmen", "Rampe", "Randlage", "Ranzen", "Rapsöl", "Raserei",
+            "rasten", "Rasur", "Rätsel", "Raubtier", "Raumzeit", "Rausch", "Reaktor", "Realität",
+            "Rebell", "Rede", "Reetdach", "Regatta", "Regen", "Rehkitz", "Reifen", "Reim", "Reise",
+            "Reizung", "Rekord", "Relevanz", "Rennboot", "Respekt", "Restmüll", "retten", "Reue",
+            "Revolte", "Rhetorik", "Rhythmus", "Richtung", "Riegel", "Rindvieh", "Rippchen",
+            "Ritter", "Robbe", "Roboter", "Rockband", "Rohdaten", "Roller", "Roman", "röntgen",
+            "Rose", "Rosskur", "Rost", "Rotahorn", "Rotglut", "Rotznase", "Rubrik", "Rückweg",
+            "Rufmord", "Ruhe", "Ruine", "Rumpf", "Runde", "Rüstung", "rütteln", "Saaltür",
+            "Saatguts", "Säbel", "Sachbuch", "Sack", "Saft", "sagen", "Sahneeis", "Salat", "Salbe",
+            "Salz", "Sammlung", "Samt", "Sandbank", "Sanftmut", "Sardine", "Satire", "Sattel",
+            "Satzbau", "Sauerei", "Saum", "Säure", "Schall", "Scheitel", "Schiff", "Schlager",
+            "Schmied", "Schnee", "Scholle", "Schrank", "Schulbus", "Schwan", "Seeadler", "Seefahrt",
+            "Seehund", "Seeufer", "segeln", "Sehnerv", "Seide", "Seilzug", "Senf", "Sessel",
+            "Seufzer", "Sexgott", "Sichtung", "Signal", "Silber", "singen", "Sinn", "Sirup",
+            "Sitzbank", "Skandal", "Skikurs", "Skipper", "Skizze", "Smaragd", "Socke", "Sohn",
+            "Sommer", "Songtext", "Sorte", "Spagat", "Spannung", "Spargel", "Specht", "Speiseöl",
+            "Spiegel", "Sport", "spülen", "Stadtbus", "Stall", "Stärke", "Stativ", "staunen",
+            "Stern", "Stiftung", "Stollen", "Strömung", "Sturm", "Substanz", "Südalpen", "Sumpf",
+            "surfen", "Tabak", "Tafel", "Tagebau", "takeln", "Taktung", "Talsohle", "Tand",
+            "Tanzbär", "Tapir", "Tarantel", "Tarnname", "Tasse", "Tatnacht", "Tatsache", "Tatze",
+            "Taube", "tauchen", "Taufpate", "Taumel", "Teelicht", "Teich", "teilen", "Tempo",
+            "Tenor", "Terrasse", "Testflug", "Theater", "Thermik", "ticken", "Tiefflug", "Tierart",
+            "Tigerhai", "Tinte", "Tischler", "toben", "Toleranz", "Tölpel", "Tonband", "Topf",
+            "Topmodel", "Torbogen", "Torlinie", "Torte", "Tourist", "Tragesel", "trampeln",
+            "Trapez", "Traum", "treffen", "Trennung", "Treue", "Trick", "trimmen", "Trödel",
+            "Trost", "Trumpf", "tüfteln", "Turban", "Turm", "Übermut", "Ufer", "Uhrwerk", "umarmen",
+            "Umbau", "Umfeld", "Umgang", "Umsturz", "Unart", "Unfug", "Unimog", "Unruhe", "Unwucht",
+            "Uranerz", "Urlaub", "Urmensch", "Utopie", "Vakuum", "Valuta", "Vandale", "Vase",
+            "Vektor", "Ventil", "Verb", "Verdeck", "Verfall", "Vergaser", "verhexen", "Verlag",
+            "Vers", "Vesper", "Vieh", "Viereck", "Vinyl", "Virus", "Vitrine", "Vollblut", "Vorbote",
+            "Vorrat", "Vorsicht", "Vulkan", "Wachstum", "Wade", "Wagemut", "Wahlen", "Wahrheit",
+            "Wald", "Walhai", "Wallach", "Walnuss", "Walzer", "wandeln", "Wanze", "wärmen",
+            "Warnruf", "Wäsche", "Wasser", "Weberei", "wechseln", "Wegegeld", "wehren", "Weiher",
+            "Weinglas", "Weißbier", "Weitwurf", "Welle", "Weltall", "Werkbank", "Werwolf", "Wetter",
+            "wiehern", "Wildgans", "Wind", "Wohl", "Wohnort", "Wolf", "Wollust", "Wortlaut",
+            "Wrack", "Wunder", "Wurfaxt", "Wurst", "Yacht", "Yeti", "Zacke", "Zahl", "zähmen",
+            "Zahnfee", "Zäpfchen", "Zaster", "Zaumzeug", "Zebra", "zeigen", "Zeitlupe", "Zellkern",
+            "Zeltdach", "Zensor", "Zerfall", "Zeug", "Ziege", "Zielfoto", "Zimteis", "Zobel",
+            "Zollhund", "Zombie", "Zöpfe", "Zucht", "Zufahrt", "Zugfahrt", "Zugvogel", "Zündung",
+            "Zweck", "Zyklop"
+        ]
+    },
+    portuguese: {
+        name: "Português",
+        prefix_len: 4,
+        words: [
+            "abaular", "abdominal", "abeto", "abissinio", "abjeto", "ablucao", "abnegar", "abotoar",
+            "abrutalhar", "absurdo", "abutre", "acautelar", "accessorios", "acetona",
+            "achocolatado", "acirrar", "acne", "acovardar", "acrostico", "actinomicete", "acustico",
+            "adaptavel", "adeus", "adivinho", "adjunto", "admoestar", "adnominal", "adotivo",
+            "adquirir", "adriatico", "adsorcao", "adutora", "advogar", "aerossol", "afazeres",
+            "afetuoso", "afixo", "afluir", "afortunar", "afrouxar", "aftosa", "afunilar", "agentes",
+            "agito", "aglutinar", "aiatola", "aimore", "aino", "aipo", "airoso", "ajeitar",
+            "ajoelhar", "ajudante", "ajuste", "alazao", "albumina", "alcunha", "alegria",
+            "alexandre", "alforriar", "alguns", "alhures", "alivio", "almoxarife", "alotropico",
+            "alpiste", "alquimista", "alsaciano", "altura", "aluviao", "alvura", "amazonico",
+            "ambulatorio", "ametodico", "amizades", "amniotico", "amovivel", "amurada", "anatomico",
+            "ancorar", "anexo", "anfora", "aniversario", "anjo", "anotar", "ansioso", "anturio",
+            "anuviar", "anverso", "anzol", "aonde", "apaziguar", "apito", "aplicavel", "apoteotico",
+            "aprimorar", "aprumo", "apto", "apuros", "aquoso", "arauto", "arbusto", "arduo",
+            "aresta", "arfar", "arguto", "aritmetico", "arlequim", "armisticio", "aromatizar",
+            "arpoar", "arquivo", "arrumar", "arsenio", "arturiano", "aruaque", "arvores", "asbesto",
+            "ascorbico", "aspirina", "asqueroso", "assustar", "astuto", "atazanar", "ativo",
+            "atletismo", "atmosferico", "atormentar", "atroz", "aturdir", "audivel", "auferir",
+            "augusto", "aula", "aumento", "aurora", "autuar", "avatar", "avexar", "avizinhar",
+            "avolumar", "avulso", "axiomatico", "azerbaijano", "azimute", "azoto", "azulejo",
+            "bacteriologista", "badulaque", "baforada", "baixote", "bajular", "balzaquiana",
+            "bambuzal", "banzo", "baoba", "baqueta", "barulho", "bastonete", "batuta", "bauxita",
+            "bavaro", "bazuca", "bcrepuscular", "beato", "beduino", "begonia", "behaviorista",
+            "beisebol", "belzebu", "bemol", "benzido", "beocio", "bequer", "berro", "besuntar",
+            "betume", "bexiga", "bezerro", "biatlon", "biboca", "bicuspide", "bidirecional",
+            "bienio", "bifurcar", "bigorna", "bijuteria", "bimotor", "binormal", "bioxido",
+            "bipolarizacao", "biquini", "birutice", "bisturi", "bituca", "biunivoco", "bivalve",
+            "bizarro", "blasfemo", "blenorreia", "blindar", "bloqueio", "blusao", "boazuda",
+            "bofete", "bojudo", "bolso", "bombordo", "bonzo", "botina", "boquiaberto", "bostoniano",
+            "botulismo", "bourbon", "bovino", "boximane", "bravura", "brevidade", "britar",
+            "broxar", "bruno", "bruxuleio", "bubonico", "bucolico", "buda", "budista", "bueiro",
+            "buffer", "bugre", "bujao", "bumerangue", "burundines", "busto", "butique", "buzios",
+            "caatinga", "cabuqui", "cacunda", "cafuzo", "cajueiro", "camurca", "canudo",
+            "caquizeiro", "carvoeiro", "casulo", "catuaba", "cauterizar", "cebolinha", "cedula",
+            "ceifeiro", "celulose", "cerzir", "cesto", "cetro", "ceus", "cevar", "chavena",
+            "cheroqui", "chita", "chovido", "chuvoso", "ciatico", "cibernetico", "cicuta",
+            "cidreira", "cientistas", "cifrar", "cigarro", "cilio", "cimo", "cinzento", "cioso",
+            "cipriota", "cirurgico", "cisto", "citrico", "ciumento", "civismo", "clavicula",
+            "clero", "clitoris", "cluster", "coaxial", "cobrir", "cocota", "codorniz", "coexistir",
+            "cogumelo", "coito", "colusao", "compaixao", "comutativo", "contentamento",
+            "convulsivo", "coordenativa", "coquetel", "correto", "corvo", "costureiro", "cotovia",
+            "covil", "cozinheiro", "cretino", "cristo", "crivo", "crotalo", "cruzes", "cubo",
+            "cucuia", "cueiro", "cuidar", "cujo", "cultural", "cunilingua", "cupula", "curvo",
+            "custoso", "cutucar", "czarismo", "dablio", "dacota", "dados", "daguerreotipo",
+            "daiquiri", "daltonismo", "damista", "dantesco", "daquilo", "darwinista", "dasein",
+            "dativo", "deao", "debutantes", "decurso", "deduzir", "defunto", "degustar", "dejeto",
+            "deltoide", "demover", "denunciar", "deputado", "deque", "dervixe", "desvirtuar",
+            "deturpar", "deuteronomio", "devoto", "dextrose", "dezoito", "diatribe", "dicotomico",
+            "didatico", "dietista", "difuso", "digressao", "diluvio", "diminuto", "dinheiro",
+            "dinossauro", "dioxido", "diplomatico", "dique", "dirimivel", "disturbio", "diurno",
+            "divulgar", "dizivel", "doar", "dobro", "docura", "dodoi", "doer", "dogue", "doloso",
+            "domo", "donzela", "doping", "dorsal", "dossie", "dote", "doutro", "doze", "dravidico",
+            "dreno", "driver", "dropes", "druso", "dubnio", "ducto", "dueto", "dulija", "dundum",
+            "duodeno", "duquesa", "durou", "duvidoso", "duzia", "ebano", "ebrio", "eburneo",
+            "echarpe", "eclusa", "ecossistema", "ectoplasma", "ecumenismo", "eczema", "eden",
+            "editorial", "edredom", "edulcorar", "efetuar", "efigie", "efluvio", "egiptologo",
+            "egresso", "egua", "einsteiniano", "eira", "eivar", "eixos", "ejetar", "elastomero",
+            "eldorado", "elixir", "elmo", "eloquente", "elucidativo", "emaranhar", "embutir",
+            "emerito", "emfa", "emitir", "emotivo", "empuxo", "emulsao", "enamorar", "encurvar",
+            "enduro", "enevoar", "enfurnar", "enguico", "enho", "enigmista", "enlutar",
+            "enormidade", "enpreendimento", "enquanto", "enriquecer", "enrugar", "entusiastico",
+            "enunciar", "envolvimento", "enxuto", "enzimatico", "eolico", "epiteto", "epoxi",
+            "epura", "equivoco", "erario", "erbio", "ereto", "erguido", "erisipela", "ermo",
+            "erotizar", "erros", "erupcao", "ervilha", "esburacar", "escutar", "esfuziante",
+            "esguio", "esloveno", "esmurrar", "esoterismo", "esperanca", "espirito", "espurio",
+            "essencialmente", "esturricar", "esvoacar", "etario", "eterno", "etiquetar", "etnologo",
+            "etos", "etrusco", "euclidiano", "euforico", "eugenico", "eunuco", "europio",
+            "eustaquio", "eutanasia", "evasivo", "eventualidade", "evitavel", "evoluir", "exaustor",
+            "excursionista", "exercito", "exfoliado", "exito", "exotico", "expurgo", "exsudar",
+            "extrusora", "exumar", "fabuloso", "facultativo", "fado", "fagulha", "faixas", "fajuto",
+            "faltoso", "famoso", "fanzine", "fapesp", "faquir", "fartura", "fastio", "faturista",
+            "fausto", "favorito", "faxineira", "fazer", "fealdade", "febril", "fecundo",
+            "fedorento", "feerico", "feixe", "felicidade", "felpudo", "feltro", "femur", "fenotipo",
+            "fervura", "festivo", "feto", "feudo", "fevereiro", "fezinha", "fiasco", "fibra",
+            "ficticio", "fiduciario", "fiesp", "fifa", "figurino", "fijiano", "filtro", "finura",
+            "fiorde", "fiquei", "firula", "fissurar", "fitoteca", "fivela", "fixo", "flavio",
+            "flexor", "flibusteiro", "flotilha", "fluxograma", "fobos", "foco", "fofura",
+            "foguista", "foie", "foliculo", "fominha", "fonte", "forum", "fosso", "fotossintese",
+            "foxtrote", "fraudulento", "frevo", "frivolo", "frouxo", "frutose", "fuba", "fucsia",
+            "fugitivo", "fuinha", "fujao", "fulustreco", "fumo", "funileiro", "furunculo",
+            "fustigar", "futurologo", "fuxico", "fuzue", "gabriel", "gado", "gaelico", "gafieira",
+            "gaguejo", "gaivota", "gajo", "galvanoplastico", "gamo", "ganso", "garrucha",
+            "gastronomo", "gatuno", "gaussiano", "gaviao", "gaxeta", "gazeteiro", "gear", "geiser",
+            "geminiano", "generoso", "genuino", "geossinclinal", "gerundio", "gestual", "getulista",
+            "gibi", "gigolo", "gilete", "ginseng", "giroscopio", "glaucio", "glacial", "gleba",
+            "glifo", "glote", "glutonia", "gnostico", "goela", "gogo", "goitaca", "golpista",
+            "gomo", "gonzo", "gorro", "gostou", "goticula", "gourmet", "governo", "gozo", "graxo",
+            "grevista", "grito", "grotesco", "gruta", "guaxinim", "gude", "gueto", "guizo",
+            "guloso", "gume", "guru", "gustativo", "grelhado", "gutural", "habitue", "haitiano",
+            "halterofilista", "hamburguer", "hanseniase", "happening", "harpista", "hastear",
+            "haveres", "hebreu", "hectometro", "hedonista", "hegira", "helena", "helminto",
+            "hemorroidas", "henrique", "heptassilabo", "hertziano", "hesitar", "heterossexual",
+            "heuristico", "hexagono", "hiato", "hibrido", "hidrostatico", "hieroglifo", "hifenizar",
+            "higienizar", "hilario", "himen", "hino", "hippie", "hirsuto", "historiografia",
+            "hitlerista", "hodometro", "hoje", "holograma", "homus", "honroso", "hoquei", "horto",
+            "hostilizar", "hotentote", "huguenote", "humilde", "huno", "hurra", "hutu", "iaia",
+            "ialorixa", "iambico", "iansa", "iaque", "iara", "iatista", "iberico", "ibis", "icar",
+            "iceberg", "icosagono", "idade", "ideologo", "idiotice", "idoso", "iemenita", "iene",
+            "igarape", "iglu", "ignorar", "igreja", "iguaria", "iidiche", "ilativo", "iletrado",
+            "ilharga", "ilimitado", "ilogismo", "ilustrissimo", "imaturo", "imbuzeiro", "imerso",
+            "imitavel", "imovel", "imputar", "imutavel", "inaveriguavel", "incutir", "induzir",
+            "inextricavel", "infusao", "ingua", "inhame", "iniquo", "injusto", "inning",
+            "inoxidavel", "inquisitorial", "insustentavel", "intumescimento", "inutilizavel",
+            "invulneravel", "inzoneiro", "iodo", "iogurte", "ioio", "ionosfera", "ioruba", "iota",
+            "ipsilon", "irascivel", "iris", "irlandes", "irmaos", "iroques", "irrupcao", "isca",
+            "isento", "islandes", "isotopo", "isqueiro", "israelita", "isso", "isto", "iterbio",
+            "itinerario", "itrio", "iuane", "iugoslavo", "jabuticabeira", "jacutinga", "jade",
+            "jagunco", "jainista", "jaleco", "jambo", "jantarada", "japones", "jaqueta", "jarro",
+            "jasmim", "jato", "jaula", "javel", "jazz", "jegue", "jeitoso", "jejum", "jenipapo",
+            "jeova", "jequitiba", "jersei", "jesus", "jetom", "jiboia", "jihad", "jilo", "jingle",
+            "jipe", "jocoso", "joelho", "joguete", "joio", "jojoba", "jorro", "jota", "joule",
+            "joviano", "jubiloso", "judoca", "jugular", "juizo", "jujuba", "juliano", "jumento",
+            "junto", "jururu", "justo", "juta", "juventude", "labutar", "laguna", "laico", "lajota",
+            "lanterninha", "lapso", "laquear", "lastro", "lauto", "lavrar", "laxativo", "lazer",
+            "leasing", "lebre", "lecionar", "ledo", "leguminoso", "leitura", "lele", "lemure",
+            "lento", "leonardo", "leopardo", "lepton", "leque", "leste", "letreiro", "leucocito",
+            "levitico", "lexicologo", "lhama", "lhufas", "liame", "licoroso", "lidocaina",
+            "liliputiano", "limusine", "linotipo", "lipoproteina", "liquidos", "lirismo", "lisura",
+            "liturgico", "livros", "lixo", "lobulo", "locutor", "lodo", "logro", "lojista",
+            "lombriga", "lontra", "loop", "loquaz", "lorota", "losango", "lotus", "louvor", "luar",
+            "lubrificavel", "lucros", "lugubre", "luis", "luminoso", "luneta", "lustroso", "luto",
+            "luvas", "luxuriante", "luzeiro", "maduro", "maestro", "mafioso", "magro", "maiuscula",
+            "majoritario", "malvisto", "mamute", "manutencao", "mapoteca", "maquinista", "marzipa",
+            "masturbar", "matuto", "mausoleu", "mavioso", "maxixe", "mazurca", "meandro", "mecha",
+            "medusa", "mefistofelico", "megera", "meirinho", "melro", "memorizar", "menu",
+            "mequetrefe", "mertiolate", "mestria", "metroviario", "mexilhao", "mezanino", "miau",
+            "microssegundo", "midia", "migratorio", "mimosa", "minuto", "miosotis", "mirtilo",
+            "misturar", "mitzvah", "miudos", "mixuruca", "mnemonico", "moagem", "mobilizar",
+            "modulo", "moer", "mofo", "mogno", "moita", "molusco", "monumento", "moqueca",
+            "morubixaba", "mostruario", "motriz", "mouse", "movivel", "mozarela", "muarra",
+            "muculmano", "mudo", "mugir", "muitos", "mumunha", "munir", "muon", "muquira", "murros",
+            "musselina", "nacoes", "nado", "naftalina", "nago", "naipe", "naja", "nalgum", "namoro",
+            "nanquim", "napolitano", "naquilo", "nascimento", "nautilo", "navios", "nazista",
+            "nebuloso", "nectarina", "nefrologo", "negus", "nelore", "nenufar", "nepotismo",
+            "nervura", "neste", "netuno", "neutron", "nevoeiro", "newtoniano", "nexo", "nhenhenhem",
+            "nhoque", "nigeriano", "niilista", "ninho", "niobio", "niponico", "niquelar", "nirvana",
+            "nisto", "nitroglicerina", "nivoso", "nobreza", "nocivo", "noel", "nogueira", "noivo",
+            "nojo", "nominativo", "nonuplo", "noruegues", "nostalgico", "noturno", "nouveau",
+            "nuanca", "nublar", "nucleotideo", "nudista", "nulo", "numismatico", "nunquinha",
+            "nupcias", "nutritivo", "nuvens", "oasis", "obcecar", "obeso", "obituario", "objetos",
+            "oblongo", "obnoxio", "obrigatorio", "obstruir", "obtuso", "obus", "obvio", "ocaso",
+            "occipital", "oceanografo", "ocioso", "oclusivo", "ocorrer", "ocre", "octogono",
+            "odalisca", "odisseia", "odorifico", "oersted", "oeste", "ofertar", "ofidio",
+            "oftalmologo", "ogiva", "ogum", "oigale", "oitavo", "oitocentos", "ojeriza", "olaria",
+            "oleoso", "olfato", "olhos", "oliveira", "olmo", "olor", "olvidavel", "ombudsman",
+            "omeleteira", "omitir", "omoplata", "onanismo", "ondular", "oneroso", "onomatopeico",
+            "ontologico", "onus", "onze", "opalescente", "opcional", "operistico", "opio", "oposto",
+            "oprobrio", "optometrista", "opusculo", "oratorio", "orbital", "orcar", "orfao",
+            "orixa", "orla", "ornitologo", "orquidea", "ortorrombico", "orvalho", "osculo",
+            "osmotico", "ossudo", "ostrogodo", "otario", "otite", "ouro", "ousar", "outubro",
+            "ouvir", "ovario", "overnight", "oviparo", "ovni", "ovoviviparo", "ovulo", "oxala",
+            "oxente", "oxiuro", "oxossi", "ozonizar", "paciente", "pactuar", "padronizar", "paete",
+            "pagodeiro", "paixao", "pajem", "paludismo", "pampas", "panturrilha", "papudo",
+            "paquistanes", "pastoso", "patua", "paulo", "pauzinhos", "pavoroso", "paxa", "pazes",
+            "peao", "pecuniario", "pedunculo", "pegaso", "peixinho", "pejorativo", "pelvis",
+            "penuria", "pequno", "petunia", "pezada", "piauiense", "pictorico", "pierro", "pigmeu",
+            "pijama", "pilulas", "pimpolho", "pintura", "piorar", "pipocar", "piqueteiro",
+            "pirulito", "pistoleiro", "pituitaria", "pivotar", "pixote", "pizzaria", "plistoceno",
+            "plotar", "pluviometrico", "pneumonico", "poco", "podridao", "poetisa", "pogrom",
+            "pois", "polvorosa", "pomposo", "ponderado", "pontudo", "populoso", "poquer", "porvir",
+            "posudo", "potro", "pouso", "povoar", "prazo", "prezar", "privilegios", "proximo",
+            "prussiano", "pseudopode", "psoriase", "pterossauros", "ptialina", "ptolemaico",
+            "pudor", "pueril", "pufe", "pugilista", "puir", "pujante", "pulverizar", "pumba",
+            "punk", "purulento", "pustula", "putsch", "puxe", "quatrocentos", "quetzal",
+            "quixotesco", "quotizavel", "rabujice", "racista", "radonio", "rafia", "ragu", "rajado",
+            "ralo", "rampeiro", "ranzinza", "raptor", "raquitismo", "raro", "rasurar", "ratoeira",
+            "ravioli", "razoavel", "reavivar", "rebuscar", "recusavel", "reduzivel", "reexposicao",
+            "refutavel", "regurgitar", "reivindicavel", "rejuvenescimento", "relva", "remuneravel",
+            "renunciar", "reorientar", "repuxo", "requisito", "resumo", "returno", "reutilizar",
+            "revolvido", "rezonear", "riacho", "ribossomo", "ricota", "ridiculo", "rifle",
+            "rigoroso", "rijo", "rimel", "rins", "rios", "riqueza", "respeito", "rissole",
+            "ritualistico", "rivalizar", "rixa", "robusto", "rococo", "rodoviario", "roer", "rogo",
+            "rojao", "rolo", "rompimento", "ronronar", "roqueiro", "rorqual", "rosto", "rotundo",
+            "rouxinol", "roxo", "royal", "ruas", "rucula", "rudimentos", "ruela", "rufo", "rugoso",
+            "ruivo", "rule", "rumoroso", "runico", "ruptura", "rural", "rustico", "rutilar",
+            "saariano", "sabujo", "sacudir", "sadomasoquista", "safra", "sagui", "sais", "samurai",
+            "santuario", "sapo", "saquear", "sartriano", "saturno", "saude", "sauva", "saveiro",
+            "saxofonista", "sazonal", "scherzo", "script", "seara", "seborreia", "secura",
+            "seduzir", "sefardim", "seguro", "seja", "selvas", "sempre", "senzala", "sepultura",
+            "sequoia", "sestercio", "setuplo", "seus", "seviciar", "sezonismo", "shalom", "siames",
+            "sibilante", "sicrano", "sidra", "sifilitico", "signos", "silvo", "simultaneo",
+            "sinusite", "sionista", "sirio", "sisudo", "situar", "sivan", "slide", "slogan", "soar",
+            "sobrio", "socratico", "sodomizar", "soerguer", "software", "sogro", "soja", "solver",
+            "somente", "sonso", "sopro", "soquete", "sorveteiro", "sossego", "soturno", "sousafone",
+            "sovinice", "sozinho", "suavizar", "subverter", "sucursal", "sudoriparo", "sufragio",
+            "sugestoes", "suite", "sujo", "sultao", "sumula", "suntuoso", "suor", "supurar",
+            "suruba", "susto", "suturar", "suvenir", "tabuleta", "taco", "tadjique", "tafeta",
+            "tagarelice", "taitiano", "talvez", "tampouco", "tanzaniano", "taoista", "tapume",
+            "taquion", "tarugo", "tascar", "tatuar", "tautologico", "tavola", "taxionomista",
+            "tchecoslovaco", "teatrologo", "tectonismo", "tedioso", "teflon", "tegumento", "teixo",
+            "telurio", "temporas", "tenue", "teosofico", "tepido", "tequila", "terrorista",
+            "testosterona", "tetrico", "teutonico", "teve", "texugo", "tiara", "tibia", "tiete",
+            "tifoide", "tigresa", "tijolo", "tilintar", "timpano", "tintureiro", "tiquete",
+            "tiroteio", "tisico", "titulos", "tive", "toar", "toboga", "tofu", "togoles",
+            "toicinho", "tolueno", "tomografo", "tontura", "toponimo", "toquio", "torvelinho",
+            "tostar", "toto", "touro", "toxina", "trazer", "trezentos", "trivialidade", "trovoar",
+            "truta", "tuaregue", "tubular", "tucano", "tudo", "tufo", "tuiste", "tulipa",
+            "tumultuoso", "tunisino", "tupiniquim", "turvo", "tutu", "ucraniano", "udenista",
+            "ufanista", "ufologo", "ugaritico", "uiste", "uivo", "ulceroso", "ulema",
+            "ultravioleta", "umbilical", "umero", "umido", "umlaut", "unanimidade", "unesco",
+            "ungulado", "unheiro", "univoco", "untuoso", "urano", "urbano", "urdir", "uretra",
+            "urgente", "urinol", "urna", "urologo", "urro", "ursulina", "urtiga", "urupe", "usavel",
+            "usbeque", "usei", "usineiro", "usurpar", "utero", "utilizar", "utopico", "uvular",
+            "uxoricidio", "vacuo", "vadio", "vaguear", "vaivem", "valvula", "vampiro", "vantajoso",
+            "vaporoso", "vaquinha", "varziano", "vasto", "vaticinio", "vaudeville", "vazio",
+            "veado", "vedico", "veemente", "vegetativo", "veio", "veja", "veludo", "venusiano",
+            "verdade", "verve", "vestuario", "vetusto", "vexatorio", "vezes", "viavel",
+            "vibratorio", "victor", "vicunha", "vidros", "vietnamita", "vigoroso", "vilipendiar",
+            "vime", "vintem", "violoncelo", "viquingue", "virus", "visualizar", "vituperio",
+            "viuvo", "vivo", "vizir", "voar", "vociferar", "vodu", "vogar", "voile", "volver",
+            "vomito", "vontade", "vortice", "vosso", "voto", "vovozinha", "voyeuse", "vozes",
+            "vulva", "vupt", "western", "xadrez", "xale", "xampu", "xango", "xarope", "xaual",
+            "xavante", "xaxim", "xenonio", "xepa", "xerox", "xicara", "xifopago", "xiita",
+            "xilogravura", "xinxim", "xistoso", "xixi", "xodo", "xogum", "xucro", "zabumba",
+            "zagueiro", "zambiano", "zanzar", "zarpar", "zebu", "zefiro", "zeloso", "zenite",
+            "zumbi"
+        ]
+    },
+    japanese: {
+        name: "日本語",
+        prefix_len: 3,
+        words: [
+            "あいこくしん", "あいさつ", "あいだ", "あおぞら", "あかちゃん", "あきる", "あけがた", "あける", "あこがれる", "あさい", "あさひ",
+            "あしあと", "あじわう", "あずかる", "あずき", "あそぶ", "あたえる", "あたためる", "あたりまえ", "あたる", "あつい", "あつかう",
+            "あっしゅく", "あつまり", "あつめる", "あてな", "あてはまる", "あひる", "あぶら", "あぶる", "あふれる", "あまい", "あまど",
+            "あまやかす", "あまり", "あみもの", "あめりか", "あやまる", "あゆむ", "あらいぐま", "あらし", "あらすじ", "あらためる", "あらゆる",
+            "あらわす", "ありがとう", "あわせる", "あわてる", "あんい", "あんがい", "あんこ", "あんぜん", "あんてい", "あんない", "あんまり",
+            "いいだす", "いおん", "いがい", "いがく", "いきおい", "いきなり", "いきもの", "いきる", "いくじ", "いくぶん", "いけばな",
+            "いけん", "いこう", "いこく", "いこつ", "いさましい", "いさん", "いしき", "いじゅう", "いじょう", "いじわる", "いずみ", "いずれ",
+            "いせい", "いせえび", "いせかい", "いせき", "いぜん", "いそうろう", "いそがしい", "いだい", "いだく", "いたずら", "いたみ",
+            "いたりあ", "いちおう", "いちじ", "いちど", "いちば", "いちぶ", "いちりゅう", "いつか", "いっしゅん", "いっせい", "いっそう",
+            "いったん", "いっち", "いってい", "いっぽう", "いてざ", "いてん", "いどう", "いとこ", "いない", "いなか", "いねむり", "いのち",
+            "いのる", "いはつ", "いばる", "いはん", "いびき", "いひん", "いふく", "いへん", "いほう", "いみん", "いもうと", "いもたれ",
+            "いもり", "いやがる", "いやす", "いよかん", "いよく", "いらい", "いらすと", "いりぐち", "いりょう", "いれい", "いれもの",
+            "いれる", "いろえんぴつ", "いわい", "いわう", "いわかん", "いわば", "いわゆる", "いんげんまめ", "いんさつ", "いんしょう", "いんよう",
+            "うえき", "うえる", "うおざ", "うがい", "うかぶ", "うかべる", "うきわ", "うくらいな", "うくれれ", "うけたまわる", "うけつけ",
+            "うけとる", "うけもつ", "うける", "うごかす", "うごく", "うこん", "うさぎ", "うしなう", "うしろがみ", "うすい", "うすぎ",
+            "うすぐらい", "うすめる", "うせつ", "うちあわせ", "うちがわ", "うちき", "うちゅう", "うっかり", "うつくしい", "うったえる", "うつる",
+            "うどん", "うなぎ", "うなじ", "うなずく", "うなる", "うねる", "うのう", "うぶげ", "うぶごえ", "うまれる", "うめる", "うもう",
+            "うやまう", "うよく", "うらがえす", "うらぐち", "うらない", "うりあげ", "うりきれ", "うるさい", "うれしい", "うれゆき", "うれる",
+            "うろこ", "うわき", "うわさ", "うんこう", "うんちん", "うんてん", "うんどう", "えいえん", "えいが", "えいきょう", "えいご",
+            "えいせい", "えいぶん", "えいよう", "えいわ", "えおり", "えがお", "えがく", "えきたい", "えくせる", "えしゃく", "えすて",
+            "えつらん", "えのぐ", "えほうまき", "えほん", "えまき", "えもじ", "えもの", "えらい", "えらぶ", "えりあ", "えんえん", "えんかい",
+            "えんぎ", "えんげき", "えんしゅう", "えんぜつ", "えんそく", "えんちょう", "えんとつ", "おいかける", "おいこす", "おいしい",
+            "おいつく", "おうえん", "おうさま", "おうじ", "おうせつ", "おうたい", "おうふく", "おうべい", "おうよう", "おえる", "おおい",
+            "おおう", "おおどおり", "おおや", "おおよそ", "おかえり", "おかず", "おがむ", "おかわり", "おぎなう", "おきる", "おくさま",
+            "おくじょう", "おくりがな", "おくる", "おくれる", "おこす", "おこなう", "おこる", "おさえる", "おさない", "おさめる", "おしいれ",
+            "おしえる", "おじぎ", "おじさん", "おしゃれ", "おそらく", "おそわる", "おたがい", "おたく", "おだやか", "おちつく", "おっと",
+            "おつり", "おでかけ", "おとしもの", "おとなしい", "おどり", "おどろかす", "おばさん", "おまいり", "おめでとう", "おもいで", "おもう",
+            "おもたい", "おもちゃ", "おやつ", "おやゆび", "およぼす", "おらんだ", "おろす", "おんがく", "おんけい", "おんしゃ", "おんせん",
+            "おんだん", "おんちゅう", "おんどけい", "かあつ", "かいが", "がいき", "がいけん", "がいこう", "かいさつ", "かいしゃ", "かいすいよく",
+            "かいぜん", "かいぞうど", "かいつう", "かいてん", "かいとう", "かいふく", "がいへき", "かいほう", "かいよう", "がいらい", "かいわ",
+            "かえる", "かおり", "かかえる", "かがく", "かがし", "かがみ", "かくご", "かくとく", "かざる", "がぞう", "かたい", "かたち",
+            "がちょう", "がっきゅう", "がっこう", "がっさん", "がっしょう", "かなざわし", "かのう", "がはく", "かぶか", "かほう", "かほご",
+            "かまう", "かまぼこ", "かめれおん", "かゆい", "かようび", "からい", "かるい", "かろう", "かわく", "かわら", "がんか", "かんけい",
+            "かんこう", "かんしゃ", "かんそう", "かんたん", "かんち", "がんばる", "きあい", "きあつ", "きいろ", "ぎいん", "きうい", "きうん",
+            "きえる", "きおう", "きおく", "きおち", "きおん", "きかい", "きかく", "きかんしゃ", "ききて", "きくばり", "きくらげ",
+            "きけんせい", "きこう", "きこえる", "きこく", "きさい", "きさく", "きさま", "きさらぎ", "ぎじかがく", "ぎしき", "ぎじたいけん",
+            "ぎじにってい", "ぎじゅつしゃ", "きすう", "きせい", "きせき", "きせつ", "きそう", "きぞく", "きぞん", "きたえる", "きちょう",
+            "きつえん", "ぎっちり", "きつつき", "きつね", "きてい", "きどう", "きどく", "きない", "きなが", "きなこ", "きぬごし", "きねん",
+            "きのう", "きのした", "きはく", "きびしい", "きひん", "きふく", "きぶん", "きぼう", "きほん", "きまる", "きみつ", "きむずかしい",
+            "きめる", "きもだめし", "きもち", "きもの", "きゃく", "きやく", "ぎゅうにく", "きよう", "きょうりゅう", "きらい", "きらく",
+            "きりん", "きれい", "きれつ", "きろく", "ぎろん", "きわめる", "ぎんいろ", "きんかくじ", "きんじょ", "きんようび", "ぐあい",
+            "くいず", "くうかん", "くうき", "くうぐん", "くうこう", "ぐうせい", "くうそう", "ぐうたら", "くうふく", "くうぼ", "くかん",
+            "くきょう", "くげん", "ぐこう", "くさい", "くさき", "くさばな", "くさる", "くしゃみ", "くしょう", "くすのき", "くすりゆび",
+            "くせげ", "くせん", "ぐたいてき", "くださる", "くたびれる", "くちこみ", "くちさき", "くつした", "ぐっすり", "くつろぐ", "くとうてん",
+            "くどく", "くなん", "くねくね", "くのう", "くふう", "くみあわせ", "くみたてる", "くめる", "くやくしょ", "くらす", "くらべる",
+            "くるま", "くれる", "くろう", "くわしい", "ぐんかん", "ぐんしょく", "ぐんたい", "ぐんて", "けあな", "けいかく", "けいけん",
+            "けいこ", "けいさつ", "げいじゅつ", "けいたい", "げいのうじん", "けいれき", "けいろ", "けおとす", "けおりもの", "げきか", "げきげん",
+            "げきだん", "げきちん", "げきとつ", "げきは", "げきやく", "げこう", "げこくじょう", "げざい", "けさき", "げざん", "けしき",
+            "けしごむ", "けしょう", "げすと", "けたば", "けちゃっぷ", "けちらす", "けつあつ", "けつい", "けつえき", "けっこん", "けつじょ",
+            "けっせき", "けってい", "けつまつ", "げつようび", "げつれい", "けつろん", "げどく", "けとばす", "けとる", "けなげ", "けなす",
+            "けなみ", "けぬき", "げねつ", "けねん", "けはい", "げひん", "けぶかい", "げぼく", "けまり", "けみかる", "けむし", "けむり",
+            "けもの", "けらい", "けろけろ", "けわしい", "けんい", "けんえつ", "けんお", "けんか", "げんき", "けんげん", "けんこう",
+            "けんさく", "けんしゅう", "けんすう", "げんそう", "けんちく", "けんてい", "けんとう", "けんない", "けんにん", "げんぶつ", "けんま",
+            "けんみん", "けんめい", "けんらん", "けんり", "こあくま", "こいぬ", "こいびと", "ごうい", "こうえん", "こうおん", "こうかん",
+            "ごうきゅう", "ごうけい", "こうこう", "こうさい", "こうじ", "こうすい", "ごうせい", "こうそく", "こうたい", "こうちゃ", "こうつう",
+            "こうてい", "こうどう", "こうない", "こうはい", "ごうほう", "ごうまん", "こうもく", "こうりつ", "こえる", "こおり", "ごかい",
+            "ごがつ", "ごかん", "こくご", "こくさい", "こくとう", "こくない", "こくはく", "こぐま", "こけい", "こける", "ここのか", "こころ",
+            "こさめ", "こしつ", "こすう", "こせい", "こせき", "こぜん", "こそだて", "こたい", "こたえる", "こたつ", "こちょう", "こっか",
+            "こつこつ", "こつばん", "こつぶ", "こてい", "こてん", "ことがら", "ことし", "ことば", "ことり", "こなごな", "こねこね",
+            "このまま", "このみ", "このよ", "ごはん", "こひつじ", "こふう", "こふん", "こぼれる", "ごまあぶら", "こまかい", "ごますり",
+            "こまつな", "こまる", "こむぎこ", "こもじ", "こもち", "こもの", "こもん", "こやく", "こやま", "こゆう", "こゆび", "こよい",
+            "こよう", "こりる", "これくしょん", "ころっけ", "こわもて", "こわれる", "こんいん", "こんかい", "こんき", "こんしゅう", "こんすい",
+            "こんだて", "こんとん", "こんなん", "こんびに", "こんぽん", "こんまけ", "こんや", "こんれい", "こんわく", "ざいえき", "さいかい",
+            "さいきん", "ざいげん", "ざいこ", "さいしょ", "さいせい", "ざいたく", "ざいちゅう", "さいてき", "ざいりょう", "さうな", "さかいし",
+            "さがす", "さかな", "さかみち", "さがる", "さぎょう", "さくし", "さくひん", "さくら", "さこく", "さこつ", "さずかる", "ざせき",
+            "さたん", "さつえい", "ざつおん", "ざっか", "ざつがく", "さっきょく", "ざっし", "さつじん", "ざっそう", "さつたば", "さつまいも",
+            "さてい", "さといも", "さとう", "さとおや", "さとし", "さとる", "さのう", "さばく", "さびしい", "さべつ", "さほう", "さほど",
+            "さます", "さみしい", "さみだれ", "さむけ", "さめる", "さやえんどう", "さゆう", "さよう", "さよく", "さらだ", "ざるそば",
+            "さわやか", "さわる", "さんいん", "さんか", "さんきゃく", "さんこう", "さんさい", "ざんしょ", "さんすう", "さんせい", "さんそ",
+            "さんち", "さんま", "さんみ", "さんらん", "しあい", "しあげ", "しあさって", "しあわせ", "しいく", "しいん", "しうち", "しえい",
+            "しおけ", "しかい", "しかく", "じかん", "しごと", "しすう", "じだい", "したうけ", "したぎ", "したて", "したみ", "しちょう",
+            "しちりん", "しっかり", "しつじ", "しつもん", "してい", "してき", "してつ", "じてん", "じどう", "しなぎれ", "しなもの", "しなん",
+            "しねま", "しねん", "しのぐ", "しのぶ", "しはい", "しばかり", "しはつ", "しはらい", "しはん", "しひょう", "しふく", "じぶん",
+            "しへい", "しほう", "しほん", "しまう", "しまる", "しみん", "しむける", "じむしょ", "しめい", "しめる", "しもん", "しゃいん",
+            "しゃうん", "しゃおん", "じゃがいも", "しやくしょ", "しゃくほう", "しゃけん", "しゃこ", "しゃざい", "しゃしん", "しゃせん",
+            "しゃそう", "しゃたい", "しゃちょう", "しゃっきん", "じゃま", "しゃりん", "しゃれい", "じゆう", "じゅうしょ", "しゅくはく",
+            "じゅしん", "しゅっせき", "しゅみ", "しゅらば", "じゅんばん", "しょうかい", "しょくたく", "しょっけん", "しょどう", "しょもつ",
+            "しらせる", "しらべる", "しんか", "しんこう", "じんじゃ", "しんせいじ", "しんちく", "しんりん", "すあげ", "すあし", "すあな",
+            "ずあん", "すいえい", "すいか", "すいとう", "ずいぶん", "すいようび", "すうがく", "すうじつ", "すうせん", "すおどり", "すきま",
+            "すくう", "すくない", "すける", "すごい", "すこし", "ずさん", "すずしい", "すすむ", "すすめる", "すっかり", "ずっしり", "ずっと",
+            "すてき", "すてる", "すねる", "すのこ", "すはだ", "すばらしい", "ずひょう", "ずぶぬれ", "すぶり", "すふれ", "すべて", "すべる",
+            "ずほう", "すぼん", "すまい", "すめし", "すもう", "すやき", "すらすら", "するめ", "すれちがう", "すろっと", "すわる", "すんぜん",
+            "すんぽう", "せあぶら", "せいかつ", "せいげん", "せいじ", "せいよう", "せおう", "せかいかん", "せきにん", "せきむ", "せきゆ",
+            "せきらんうん", "せけん", "せこう", "せすじ", "せたい", "せたけ", "せっかく", "せっきゃく", "ぜっく", "せっけん", "せっこつ",
+            "せっさたくま", "せつぞく", "せつだん", "せつでん", "せっぱん", "せつび", "せつぶん", "せつめい", "せつりつ", "せなか", "せのび",
+            "せはば", "せびろ", "せぼね", "せまい", "せまる", "せめる", "せもたれ", "せりふ", "ぜんあく", "せんい", "せんえい", "せんか",
+            "せんきょ", "せんく", "せんげん", "ぜんご", "せんさい", "せんしゅ", "せんすい", "せんせい", "せんぞ", "せんたく", "せんちょう",
+            "せんてい", "せんとう", "せんぬき", "せんねん", "せんぱい", "ぜんぶ", "ぜんぽう", "せんむ", "せんめんじょ", "せんもん", "せんやく",
+            "せんゆう", "せんよう", "ぜんら", "ぜんりゃく", "せんれい", "せんろ", "そあく", "そいとげる", "そいね", "そうがんきょう", "そうき",
+            "そうご", "そうしん", "そうだん", "そうなん", "そうび", "そうめん", "そうり", "そえもの", "そえん", "そがい", "そげき", "そこう",
+            "そこそこ", "そざい", "そしな", "そせい", "そせん", "そそぐ", "そだてる", "そつう", "そつえん", "そっかん", "そつぎょう",
+            "そっけつ", "そっこう", "そっせん", "そっと", "そとがわ", "そとづら", "そなえる", "そなた", "そふぼ", "そぼく", "そぼろ",
+            "そまつ", "そまる", "そむく", "そむりえ", "そめる", "そもそも", "そよかぜ", "そらまめ", "そろう", "そんかい", "そんけい",
+            "そんざい", "そんしつ", "そんぞく", "そんちょう", "ぞんび", "ぞんぶん", "そんみん", "たあい", "たいいん", "たいうん", "たいえき",
+            "たいおう", "だいがく", "たいき", "たいぐう", "たいけん", "たいこ", "たいざい", "だいじょうぶ", "だいすき", "たいせつ", "たいそう",
+            "だいたい", "たいちょう", "たいてい", "だいどころ", "たいない", "たいねつ", "たいのう", "たいはん", "だいひょう", "たいふう",
+            "たいへん", "たいほ", "たいまつばな", "たいみんぐ", "たいむ", "たいめん", "たいやき", "たいよう", "たいら", "たいりょく", "たいる",
+            "たいわん", "たうえ", "たえる", "たおす", "たおる", "たおれる", "たかい", "たかね", "たきび", "たくさん", "たこく", "たこやき",
+            "たさい", "たしざん", "だじゃれ", "たすける", "たずさわる", "たそがれ", "たたかう", "たたく", "ただしい", "たたみ", "たちばな",
+            "だっかい", "だっきゃく", "だっこ", "だっしゅつ", "だったい", "たてる", "たとえる", "たなばた", "たにん", "たぬき", "たのしみ",
+            "たはつ", "たぶん", "たべる", "たぼう", "たまご", "たまる", "だむる", "ためいき", "ためす", "ためる", "たもつ", "たやすい",
+            "たよる", "たらす", "たりきほんがん", "たりょう", "たりる", "たると", "たれる", "たれんと", "たろっと", "たわむれる", "だんあつ",
+            "たんい", "たんおん", "たんか", "たんき", "たんけん", "たんご", "たんさん", "たんじょうび", "だんせい", "たんそく", "たんたい",
+            "だんち", "たんてい", "たんとう", "だんな", "たんにん", "だんねつ", "たんのう", "たんぴん", "だんぼう", "たんまつ", "たんめい",
+            "だんれつ", "だんろ", "だんわ", "ちあい", "ちあん", "ちいき", "ちいさい", "ちえん", "ちかい", "ちから", "ちきゅう", "ちきん",
+            "ちけいず", "ちけん", "ちこく", "ちさい", "ちしき", "ちしりょう", "ちせい", "ちそう", "ちたい", "ちたん", "ちちおや", "ちつじょ",
+            "ちてき", "ちてん", "ちぬき", "ちぬり", "ちのう", "ちひょう", "ちへいせん", "ちほう", "ちまた", "ちみつ", "ちみどろ", "ちめいど",
+            "ちゃんこなべ", "ちゅうい", "ちゆりょく", "ちょうし", "ちょさくけん", "ちらし", "ちらみ", "ちりがみ", "ちりょう", "ちるど", "ちわわ",
+            "ちんたい", "ちんもく", "ついか", "ついたち", "つうか", "つうじょう", "つうはん", "つうわ", "つかう", "つかれる", "つくね",
+            "つくる", "つけね", "つける", "つごう", "つたえる", "つづく", "つつじ", "つつむ", "つとめる", "つながる", "つなみ", "つねづね",
+            "つのる", "つぶす", "つまらない", "つまる", "つみき", "つめたい", "つもり", "つもる", "つよい", "つるぼ", "つるみく", "つわもの",
+            "つわり", "てあし", "てあて", "てあみ", "ていおん", "ていか", "ていき", "ていけい", "ていこく", "ていさつ", "ていし", "ていせい",
+            "ていたい", "ていど", "ていねい", "ていひょう", "ていへん", "ていぼう", "てうち", "ておくれ", "てきとう", "てくび", "でこぼこ",
+            "てさぎょう", "てさげ", "てすり", "てそう", "てちがい", "てちょう", "てつがく", "てつづき", "でっぱ", "てつぼう", "てつや",
+            "でぬかえ", "てぬき", "てぬぐい", "てのひら", "てはい", "てぶくろ", "てふだ", "てほどき", "てほん", "てまえ", "てまきずし",
+            "てみじか", "てみやげ", "てらす", "てれび", "てわけ", "てわたし", "でんあつ", "てんいん", "てんかい", "てんき", "てんぐ",
+            "てんけん", "てんごく", "てんさい", "てんし", "てんすう", "でんち", "てんてき", "てんとう", "てんない", "てんぷら", "てんぼうだい",
+            "てんめつ", "てんらんかい", "でんりょく", "でんわ", "どあい", "といれ", "どうかん", "とうきゅう", "どうぐ", "とうし", "とうむぎ",
+            "とおい", "とおか", "とおく", "とおす", "とおる", "とかい", "とかす", "ときおり", "ときどき", "とくい", "とくしゅう", "とくてん",
+            "とくに", "とくべつ", "とけい", "とける", "とこや", "とさか", "としょかん", "とそう", "とたん", "とちゅう", "とっきゅう",
+            "とっくん", "とつぜん", "とつにゅう", "とどける", "ととのえる", "とない", "となえる", "となり", "とのさま", "とばす", "どぶがわ",
+            "とほう", "とまる", "とめる", "ともだち", "ともる", "どようび", "とらえる", "とんかつ", "どんぶり", "ないかく", "ないこう",
+            "ないしょ", "ないす", "ないせん", "ないそう", "なおす", "ながい", "なくす", "なげる", "なこうど", "なさけ", "なたでここ",
+            "なっとう", "なつやすみ", "ななおし", "なにごと", "なにもの", "なにわ", "なのか", "なふだ", "なまいき", "なまえ", "なまみ",
+            "なみだ", "なめらか", "なめる", "なやむ", "ならう", "ならび", "ならぶ", "なれる", "なわとび", "なわばり", "にあう", "にいがた",
+            "にうけ", "におい", "にかい", "にがて", "にきび", "にくしみ", "にくまん", "にげる", "にさんかたんそ", "にしき", "にせもの",
+            "にちじょう", "にちようび", "にっか", "にっき", "にっけい", "にっこう", "にっさん", "にっしょく", "にっすう", "にっせき", "にってい",
+            "になう", "にほん", "にまめ", "にもつ", "にやり", "にゅういん", "にりんしゃ", "にわとり", "にんい", "にんか", "にんき",
+            "にんげん", "にんしき", "にんずう", "にんそう", "にんたい", "にんち", "にんてい", "にんにく", "にんぷ", "にんまり", "にんむ",
+            "にんめい", "にんよう", "ぬいくぎ", "ぬかす", "ぬぐいとる", "ぬぐう", "ぬくもり", "ぬすむ", "ぬまえび", "ぬめり", "ぬらす",
+            "ぬんちゃく", "ねあげ", "ねいき", "ねいる", "ねいろ", "ねぐせ", "ねくたい", "ねくら", "ねこぜ", "ねこむ", "ねさげ", "ねすごす",
+            "ねそべる", "ねだん", "ねつい", "ねっしん", "ねつぞう", "ねったいぎょ", "ねぶそく", "ねふだ", "ねぼう", "ねほりはほり", "ねまき",
+            "ねまわし", "ねみみ", "ねむい", "ねむたい", "ねもと", "ねらう", "ねわざ", "ねんいり", "ねんおし", "ねんかん", "ねんきん",
+            "ねんぐ", "ねんざ", "ねんし", "ねんちゃく", "ねんど", "ねんぴ", "ねんぶつ", "ねんまつ", "ねんりょう", "ねんれい", "のいず",
+            "のおづま", "のがす", "のきなみ", "のこぎり", "のこす", "のこる", "のせる", "のぞく", "のぞむ", "のたまう", "のちほど", "のっく",
+            "のばす", "のはら", "のべる", "のぼる", "のみもの", "のやま", "のらいぬ", "のらねこ", "のりもの", "のりゆき", "のれん", "のんき",
+            "ばあい", "はあく", "ばあさん", "ばいか", "ばいく", "はいけん", "はいご", "はいしん", "はいすい", "はいせん", "はいそう",
+            "はいち", "ばいばい", "はいれつ", "はえる", "はおる", "はかい", "ばかり", "はかる", "はくしゅ", "はけん", "はこぶ", "はさみ",
+            "はさん", "はしご", "ばしょ", "はしる", "はせる", "ぱそこん", "はそん", "はたん", "はちみつ", "はつおん", "はっかく", "はづき",
+            "はっきり", "はっくつ", "はっけん", "はっこう", "はっさん", "はっしん", "はったつ", "はっちゅう", "はってん", "はっぴょう",
+            "はっぽう", "はなす", "はなび", "はにかむ", "はぶらし", "はみがき", "はむかう", "はめつ", "はやい", "はやし", "はらう",
+            "はろうぃん", "はわい", "はんい", "はんえい", "はんおん", "はんかく", "はんきょう", "ばんぐみ", "はんこ", "はんしゃ", "はんすう",
+            "はんだん", "ぱんち", "ぱんつ", "はんてい", "はんとし", "はんのう", "はんぱ", "はんぶん", "はんぺん", "はんぼうき", "はんめい",
+            "はんらん", "はんろん", "ひいき", "ひうん", "ひえる", "ひかく", "ひかり", "ひかる", "ひかん", "ひくい", "ひけつ", "ひこうき",
+            "ひこく", "ひさい", "ひさしぶり", "ひさん", "びじゅつかん", "ひしょ"
+        ]
+    },
+    chinese_simplified: {
+        name: "简体中文",
+        prefix_len: 1,
+        words: [
+            "的", "一", "是", "在", "不", "了", "有", "和", "人", "这", "中", "大", "为", "上", "个", "国", "我", "以", "要", "他",
+            "时", "来", "用", "们", "生", "到", "作", "地", "于", "出", "就", "分", "对", "成", "会", "可", "主", "发", "年", "动",
+            "同", "工", "也", "能", "下", "过", "子", "说", "产", "种", "面", "而", "方", "后", "多", "定", "行", "学", "法", "所",
+            "民", "得", "经", "十", "三", "之", "进", "着", "等", "部", "度", "家", "电", "力", "里", "如", "水", "化", "高", "自",
+            "二", "理", "起", "小", "物", "现", "实", "加", "量", "都", "两", "体", "制", "机", "当", "使", "点", "从", "业", "本",
+            "去", "把", "性", "好", "应", "开", "它", "合", "还", "因", "由", "其", "些", "然", "前", "外", "天", "政", "四", "日",
+            "那", "社", "义", "事", "平", "形", "相", "全", "表", "间", "样", "与", "关", "各", "重", "新", "线", "内", "数", "正",
+            "心", "反", "你", "明", "看", "原", "又", "么", "利", "比", "或", "但", "质", "气", "第", "向", "道", "命", "此", "变",
+            "条", "只", "没", "结", "解", "问", "意", "建", "月", "公", "无", "系", "军", "很", "情", "者", "最", "立", "代", "想",
+            "已", "通", "并", "提", "直", "题", "党", "程", "展", "五", "果", "料", "象", "员", "革", "位", "入", "常", "文", "总",
+            "次", "品", "式", "活", "设", "及", "管", "特", "件", "长", "求", "老", "头", "基", "资", "边", "流", "路", "级", "少",
+            "图", "山", "统", "接", "知", "较", "将", "组", "见", "计", "别", "她", "手", "角", "期", "根", "论", "运", "农", "指",
+            "几", "九", "区", "强", "放", "决", "西", "被", "干", "做", "必", "战", "先", "回", "则", "任", "取", "据", "处", "队",
+            "南", "给", "色", "光", "门", "即", "保", "治", "北", "造", "百", "规", "热", "领", "七", "海", "口", "东", "导", "器",
+            "压", "志", "世", "金", "增", "争", "济", "阶", "油", "思", "术", "极", "交", "受", "联", "什", "认", "六", "共", "权",
+            "收", "证", "改", "清", "美", "再", "采", "转", "更", "单", "风", "切", "打", "白", "教", "速", "花", "带", "安", "场",
+            "身", "车", "例", "真", "务", "具", "万", "每", "目", "至", "达", "走", "积", "示", "议", "声", "报", "斗", "完", "类",
+            "八", "离", "华", "名", "确", "才", "科", "张", "信", "马", "节", "话", "米", "整", "空", "元", "况", "今", "集", "温",
+            "传", "土", "许", "步", "群", "广", "石", "记", "需", "段", "研", "界", "拉", "林", "律", "叫", "且", "究", "观", "越",
+            "织", "装", "影", "算", "低", "持", "音", "众", "书", "布", "复", "容", "儿", "须", "际", "商", "非", "验", "连", "断",
+            "深", "难", "近", "矿", "千", "周", "委", "素", "技", "备", "半", "办", "青", "省", "列", "习", "响", "约", "支", "般",
+            "史", "感", "劳", "便", "团", "往", "酸", "历", "市", "克", "何", "除", "消", "构", "府", "称", "太", "准", "精", "值",
+            "号", "率", "族", "维", "划", "选", "标", "写", "存", "候", "毛", "亲", "快", "效", "斯", "院", "查", "江", "型", "眼",
+            "王", "按", "格", "养", "易", "置", "派", "层", "片", "始", "却", "专", "状", "育", "厂", "京", "识", "适", "属", "圆",
+            "包", "火", "住", "调", "满", "县", "局", "照", "参", "红", "细", "引", "听", "该", "铁", "价", "严", "首", "底", "液",
+            "官", "德", "随", "病", "苏", "失", "尔", "死", "讲", "配", "女", "黄", "推", "显", "谈", "罪", "神", "艺", "呢", "席",
+            "含", "企", "望", "密", "批", "营", "项", "防", "举", "球", "英", "氧", "势", "告", "李", "台", "落", "木", "帮", "轮",
+            "破", "亚", "师", "围", "注", "远", "字", "材", "排", "供", "河", "态", "封", "另", "施", "减", "树", "溶", "怎", "止",
+            "案", "言", "士", "均", "武", "固", "叶", "鱼", "波", "视", "仅", "费", "紧", "爱", "左", "章", "早", "朝", "害", "续",
+            "轻", "服", "试", "食", "充", "兵", "源", "判", "护", "司", "足", "某", "练", "差", "致", "板", "田", "降", "黑", "犯",
+            "负", "击", "范", "继", "兴", "似", "余", "坚", "曲", "输", "修", "故", "城", "夫", "够", "送", "笔", "船", "占", "右",
+            "财", "吃", "富", "春", "职", "觉", "汉", "画", "功", "巴", "跟", "虽", "杂", "飞", "检", "吸", "助", "升", "阳", "互",
+            "初", "创", "抗", "考", "投", "坏", "策", "古", "径", "换", "未", "跑", "留", "钢", "曾", "端", "责", "站", "简", "述",
+            "钱", "副", "尽", "帝", "射", "草", "冲", "承", "独", "令", "限", "阿", "宣", "环", "双", "请", "超", "微", "让", "控",
+            "州", "良", "轴", "找", "否", "纪", "益", "依", "优", "顶", "础", "载", "倒", "房", "突", "坐", "粉", "敌", "略", "客",
+            "袁", "冷", "胜", "绝", "析", "块", "剂", "测", "丝", "协", "诉", "念", "陈", "仍", "罗", "盐", "友", "洋", "错", "苦",
+            "夜", "刑", "移", "频", "逐", "靠", "混", "母", "短", "皮", "终", "聚", "汽", "村", "云", "哪", "既", "距", "卫", "停",
+            "烈", "央", "察", "烧", "迅", "境", "若", "印", "洲", "刻", "括", "激", "孔", "搞", "甚", "室", "待", "核", "校", "散",
+            "侵", "吧", "甲", "游", "久", "菜", "味", "旧", "模", "湖", "货", "损", "预", "阻", "毫", "普", "稳", "乙", "妈", "植",
+            "息", "扩", "银", "语", "挥", "酒", "守", "拿", "序", "纸", "医", "缺", "雨", "吗", "针", "刘", "啊", "急", "唱", "误",
+            "训", "愿", "审", "附", "获", "茶", "鲜", "粮", "斤", "孩", "脱", "硫", "肥", "善", "龙", "演", "父", "渐", "血", "欢",
+            "械", "掌", "歌", "沙", "刚", "攻", "谓", "盾", "讨", "晚", "粒", "乱", "燃", "矛", "乎", "杀", "药", "宁", "鲁", "贵",
+            "钟", "煤", "读", "班", "伯", "香", "介", "迫", "句", "丰", "培", "握", "兰", "担", "弦", "蛋", "沉", "假", "穿", "执",
+            "答", "乐", "谁", "顺", "烟", "缩", "征", "脸", "喜", "松", "脚", "困", "异", "免", "背", "星", "福", "买", "染", "井",
+            "概", "慢", "怕", "磁", "倍", "祖", "皇", "促", "静", "补", "评", "翻", "肉", "践", "尼", "衣", "宽", "扬", "棉", "希",
+            "伤", "操", "垂", "秋", "宜", "氢", "套", "督", "振", "架", "亮", "末", "宪", "庆", "编", "牛", "触", "映", "雷", "销",
+            "诗", "座", "居", "抓", "裂", "胞", "呼", "娘", "景", "威", "绿", "晶", "厚", "盟", "衡", "鸡", "孙", "延", "危", "胶",
+            "屋", "乡", "临", "陆", "顾", "掉", "呀", "灯", "岁", "措", "束", "耐", "剧", "玉", "赵", "跳", "哥", "季", "课", "凯",
+            "胡", "额", "款", "绍", "卷", "齐", "伟", "蒸", "殖", "永", "宗", "苗", "川", "炉", "岩", "弱", "零", "杨", "奏", "沿",
+            "露", "杆", "探", "滑", "镇", "饭", "浓", "航", "怀", "赶", "库", "夺", "伊", "灵", "税", "途", "灭", "赛", "归", "召",
+            "鼓", "播", "盘", "裁", "险", "康", "唯", "录", "菌", "纯", "借", "糖", "盖", "横", "符", "私", "努", "堂", "域", "枪",
+            "润", "幅", "哈", "竟", "熟", "虫", "泽", "脑", "壤", "碳", "欧", "遍", "侧", "寨", "敢", "彻", "虑", "斜", "薄", "庭",
+            "纳", "弹", "饲", "伸", "折", "麦", "湿", "暗", "荷", "瓦", "塞", "床", "筑", "恶", "户", "访", "塔", "奇", "透", "梁",
+            "刀", "旋", "迹", "卡", "氯", "遇", "份", "毒", "泥", "退", "洗", "摆", "灰", "彩", "卖", "耗", "夏", "择", "忙", "铜",
+            "献", "硬", "予", "繁", "圈", "雪", "函", "亦", "抽", "篇", "阵", "阴", "丁", "尺", "追", "堆", "雄", "迎", "泛", "爸",
+            "楼", "避", "谋", "吨", "野", "猪", "旗", "累", "偏", "典", "馆", "索", "秦", "脂", "潮", "爷", "豆", "忽", "托", "惊",
+            "塑", "遗", "愈", "朱", "替", "纤", "粗", "倾", "尚", "痛", "楚", "谢", "奋", "购", "磨", "君", "池", "旁", "碎", "骨",
+            "监", "捕", "弟", "暴", "割", "贯", "殊", "释", "词", "亡", "壁", "顿", "宝", "午", "尘", "闻", "揭", "炮", "残", "冬",
+            "桥", "妇", "警", "综", "招", "吴", "付", "浮", "遭", "徐", "您", "摇", "谷", "赞", "箱", "隔", "订", "男", "吹", "园",
+            "纷", "唐", "败", "宋", "玻", "巨", "耕", "坦", "荣", "闭", "湾", "键", "凡", "驻", "锅", "救", "恩", "剥", "凝", "碱",
+            "齿", "截", "炼", "麻", "纺", "禁", "废", "盛", "版", "缓", "净", "睛", "昌", "婚", "涉", "筒", "嘴", "插", "岸", "朗",
+            "庄", "街", "藏", "姑", "贸", "腐", "奴", "啦", "惯", "乘", "伙", "恢", "匀", "纱", "扎", "辩", "耳", "彪", "臣", "亿",
+            "璃", "抵", "脉", "秀", "萨", "俄", "网", "舞", "店", "喷", "纵", "寸", "汗", "挂", "洪", "贺", "闪", "柬", "爆", "烯",
+            "津", "稻", "墙", "软", "勇", "像", "滚", "厘", "蒙", "芳", "肯", "坡", "柱", "荡", "腿", "仪", "旅", "尾", "轧", "冰",
+            "贡", "登", "黎", "削", "钻", "勒", "逃", "障", "氨", "郭", "峰", "币", "港", "伏", "轨", "亩", "毕", "擦", "莫", "刺",
+            "浪", "秘", "援", "株", "健", "售", "股", "岛", "甘", "泡", "睡", "童", "铸", "汤", "阀", "休", "汇", "舍", "牧", "绕",
+            "炸", "哲", "磷", "绩", "朋", "淡", "尖", "启", "陷", "柴", "呈", "徒", "颜", "泪", "稍", "忘", "泵", "蓝", "拖", "洞",
+            "授", "镜", "辛", "壮", "锋", "贫", "虚", "弯", "摩", "泰", "幼", "廷", "尊", "窗", "纲", "弄", "隶", "疑", "氏", "宫",
+            "姐", "震", "瑞", "怪", "尤", "琴", "循", "描", "膜", "违", "夹", "腰", "缘", "珠", "穷", "森", "枝", "竹", "沟", "催",
+            "绳", "忆", "邦", "剩", "幸", "浆", "栏", "拥", "牙", "贮", "礼", "滤", "钠", "纹", "罢", "拍", "咱", "喊", "袖", "埃",
+            "勤", "罚", "焦", "潜", "伍", "墨", "欲", "缝", "姓", "刊", "饱", "仿", "奖", "铝", "鬼", "丽", "跨", "默", "挖", "链",
+            "扫", "喝", "袋", "炭", "污", "幕", "诸", "弧", "励", "梅", "奶", "洁", "灾", "舟", "鉴", "苯", "讼", "抱", "毁", "懂",
+            "寒", "智", "埔", "寄", "届", "跃", "渡", "挑", "丹", "艰", "贝", "碰", "拔", "爹", "戴", "码", "梦", "芽", "熔", "赤",
+            "渔", "哭", "敬", "颗", "奔", "铅", "仲", "虎", "稀", "妹", "乏", "珍", "申", "桌", "遵", "允", "隆", "螺", "仓", "魏",
+            "锐", "晓", "氮", "兼", "隐", "碍", "赫", "拨", "忠", "肃", "缸", "牵", "抢", "博", "巧", "壳", "兄", "杜", "讯", "诚",
+            "碧", "祥", "柯", "页", "巡", "矩", "悲", "灌", "龄", "伦", "票", "寻", "桂", "铺", "圣", "恐", "恰", "郑", "趣", "抬",
+            "荒", "腾", "贴", "柔", "滴", "猛", "阔", "辆", "妻", "填", "撤", "储", "签", "闹", "扰", "紫", "砂", "递", "戏", "吊",
+            "陶", "伐", "喂", "疗", "瓶", "婆", "抚", "臂", "摸", "忍", "虾", "蜡", "邻", "胸", "巩", "挤", "偶", "弃", "槽", "劲",
+            "乳", "邓", "吉", "仁", "烂", "砖", "租", "乌", "舰", "伴", "瓜", "浅", "丙", "暂", "燥", "橡", "柳", "迷", "暖", "牌",
+            "秧", "胆", "详", "簧", "踏", "瓷", "谱", "呆", "宾", "糊", "洛", "辉", "愤", "竞", "隙", "怒", "粘", "乃", "绪", "肩",
+            "籍", "敏", "涂", "熙", "皆", "侦", "悬", "掘", "享", "纠", "醒", "狂", "锁", "淀", "恨", "牲", "霸", "爬", "赏", "逆",
+            "玩", "陵", "祝", "秒", "浙", "貌"
+        ]
+    }
+};
+
+// unique_len is the shortest prefix length that tells every lower case word of the list apart,
+// it is longer than prefix_len for lists whose prefixes collide
+(function() {
+    'use strict';
+    for (var i in mn_words) {
+        if (mn_words.hasOwnProperty(i)) {
+            var wordset = mn_words[i];
+            var len = 1, max_len = 0, prefixes;
+            wordset.lower_words = wordset.words.map(function(w) { return w.toLowerCase(); });
+            for (var k = 0; k < wordset.lower_words.length; ++k) {
+                max_len = Math.max(max_len, wordset.lower_words[k].length);
+            }
+            do {
+                prefixes = {};
+                for (var j = 0; j < wordset.lower_words.length; ++j) {
+                    prefixes[wordset.lower_words[j].slice(0, len)] = j;
+                }
+                len++;
+            } while (Object.keys(prefixes).length < wordset.words.length && len <= max_len);
+            // equal words mean the file was not read as UTF-8
+            if (Object.keys(prefixes).length < wordset.words.length) {
+                throw "The " + i + " wordset has duplicate words, mnemonic.js must be loaded as UTF-8";
+            }
+            wordset.unique_len = len - 1;
+            wordset.unique_prefixes = prefixes;
+        }
+    }
+})();
+
+// Spend keys and the seeds Monero wallets make of them, every wordset must give the same words and checksum
+var mn_vectors = {
+    english: {
+        key: "008b8a034cd32325cf3c919141205f5731ab4f2d136286735228f3d8a8440705",
+        seed: "enjoy ritual ruling frying yields byline abort rogue fishing wobbly inactive sash cent present timber " +
+            "sleepless toxic gained byline tagged powder icing foyer geek wobbly"
+    },
+    spanish: {
+        key: "3c7a9e95b081169eef289dc40e61046b44e0bd97a6c525bb6fec57142cdb2b0c",
+        seed: "aborto fijo afectar grupo medio cuota bueno pacto kilo choza dinero negro minero leal canguro fax " +
+            "abuelo mula joya marido nervio mojar rancho risa medio"
+    },
+    portuguese: {
+        key: "2557e3a62d8e2734a50f6ab744f5be39fc6aa9d78cb66f68c1a63813f2173407",
+        seed: "assustar bambuzal prussiano adivinho voar coaxial ilimitado fivela apto rafia daiquiri hifenizar " +
+            "violoncelo jacutinga felpudo armisticio rios custoso arlequim alivio bienio enduro western acetona arlequim"
+    },
+    japanese: {
+        key: "5b52f64fc9fcccf3de143d0da64232d53e58cfe0d53bde048f6d037a00fbe10c",
+        seed: "かいしゃ そいとげる ねんりょう えんげき かんち おどり いもり いわい えくせる えいわ あたためる どんぶり " +
+            "こんき ひしょ にっすう しひょう こせき こまつな きむずかしい じゅんばん あけがた きさま ひくい いしき えんげき"
+    },
+    german: {
+        key: "92767f1a4b0f7d8897d7e51f586626e8c58658d9ee1aacc5fd71d528c17f4601",
+        seed: "Pferd trampeln Affe Tonband Akazie Kabine Kreuz Aktivist Bikini Rennboot Wetter Sommer Realität Acker " +
+            "Sichtung Lavasee Abflug Physik Juwel Maßkrug Rufmord Journal Lineal Logik Rufmord"
+    },
+    chinese_simplified: {
+        key: "0a3e7ae7c0ea80af1a1ae184106dd9568d6d165ac711b88cd7bd29c7d8456801",
+        seed: "个 拔 轨 趣 私 随 扎 柳 吗 教 死 透 决 徒 口 篇 哈 油 盾 远 并 炸 废 涉 口"
+    }
+};
+
+// A wordset that does not reproduce its vector would make seeds no other wallet restores
+(function() {
+    'use strict';
+    for (var i in mn_vectors) {
+        if (mn_vectors.hasOwnProperty(i)) {
+            if (mn_encode(mn_vectors[i].key, i) !== mn_vectors[i].seed ||
+                mn_decode(mn_vectors[i].seed, i) !== mn_vectors[i].key) {
+                throw "The " + mn_words[i].name + " wordset does not match its test vector";
+            }
+        }
+    }
+})();
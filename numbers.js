@@ -1642,6 +1642,7 @@ var cnBase58 = (function () {
         }
         return out.join("");
     }
+    b58.bintostr = bintostr;
 
     function uint8_be_to_64(data) {
         if (data.length < 1 || data.length > 8) {
@@ -0,0 +1,174 @@
+var paymentUri = (function () {
+    'use strict';
+    var pu = {};
+
+    // Parameters in the order they are written, as in the Monero URI scheme
+    var FIELDS = [
+        ['amount', 'tx_amount'],
+        ['paymentId', 'tx_payment_id'],
+        ['recipientName', 'recipient_name'],
+        ['description', 'tx_description']
+    ];
+    // Short payment IDs of 8 bytes and the legacy long ones of 32 bytes
+    var PAYMENT_ID = /^([0-9a-fA-F]{16}|[0-9a-fA-F]{64})$/;
+    var UINT64_MAX = new JSBigInt(2).pow(64);
+    // Longest texts, percent-encoded they take up to 9 characters each and the URI must still fit a QR code
+    var MAX_NAME_LENGTH = 100;
+    var MAX_DESCRIPTION_LENGTH = 200;
+
+    // Atomic units of a decimal amount like "12.5", with at most coinUnitPlaces decimals
+    pu.parseAmount = function (config, text) {
+        var match = /^(\d+)(?:\.(\d*))?$/.exec(text.trim());
+        if (!match) {
+            throw "Invalid amount: " + text;
+        }
+        var fraction = match[2] || '';
+        if (fraction.length > config.coinUnitPlaces) {
+            throw "The amount can have at most " + config.coinUnitPlaces + " decimals";
+        }
+        while (fraction.length < config.coinUnitPlaces) {
+            fraction += '0';
+        }
+        var units = new JSBigInt(match[1]).multiply(config.coinUnits).add(new JSBigInt(fraction || '0'));
+        if (units.isZero()) {
+            throw "The amount must be more than 0";
+        }
+        if (units.compare(UINT64_MAX) >= 0) {
+            throw "The amount is too large";
+        }
+        return units;
+    };
+
+    // Decimal amount of atomic units without trailing zeros, "1.5" for 1500000000000 with 12 places
+    pu.formatAmount = function (config, units) {
+        var parts = new JSBigInt(units).divRem(config.coinUnits);
+        var fraction = parts[1].toString();
+        while (fraction.length < config.coinUnitPlaces) {
+            fraction = '0' + fraction;
+        }
+        fraction = fraction.replace(/0+$/, '');
+        return parts[0].toString() + (fraction ? '.' + fraction : '');
+    };
+
+    function checkAddress(cnUtil, config, address) {
+        var info = addressCheck.inspect(cnUtil, config, address);
+        if (!info.valid) {
+            throw "Invalid address: " + info.error;
+        }
+        return info;
+    }
+
+    function checkPaymentId(info, paymentId) {
+        if (!PAYMENT_ID.test(paymentId)) {
+            throw "The payment ID must be 16 or 64 hex characters";
+        }
+        if (info.paymentId) {
+            throw "The integrated address already holds a payment ID";
+        }
+    }
+
+    /*
+     * Payment request URI like dnote:<address>?tx_amount=1.5&tx_payment_id=...&recipient_name=...&tx_description=...
+     * request is {address, amount, paymentId, recipientName, description}, everything but the address is optional
+     * and amount is a decimal string. Returns the URI, throws on invalid fields.
+     */
+    pu.build = function (cnUtil, config, request) {
+        var address = request.address.replace(/\s/g, '');
+        var info = checkAddress(cnUtil, config, address);
+        var values = {
+            amount: request.amount ? pu.formatAmount(config, pu.parseAmount(config, request.amount)) : '',
+            paymentId: (request.paymentId || '').trim().toLowerCase(),
+            recipientName: (request.recipientName || '').trim(),
+            description: (request.description || '').trim()
+        };
+        if (values.paymentId) {
+            checkPaymentId(info, values.paymentId);
+        }
+        if (values.recipientName.length > MAX_NAME_LENGTH) {
+            throw "The recipient name can have at most " + MAX_NAME_LENGTH + " characters";
+        }
+        if (values.description.length > MAX_DESCRIPTION_LENGTH) {
+            throw "The description can have at most " + MAX_DESCRIPTION_LENGTH + " characters";
+        }
+        var params = [];
+        FIELDS.forEach(function (field) {
+            if (values[field[0]]) {
+                params.push(field[1] + '=' + encodeURIComponent(values[field[0]]));
+            }
+        });
+        return config.coinUriPrefix + address + (params.length ? '?' + params.join('&') : '');
+    };
+
+    /*
+     * Reads a payment request URI back into its fields:
+     * {address, type, amount, units, paymentId, recipientName, description, unknown}.
+     * amount is the decimal string and units the atomic units as JSBigInt, both null without tx_amount.
+     * unknown lists the names of parameters this page does not know, they are ignored.
+     */
+    pu.parse = function (cnUtil, config, uri) {
+        uri = uri.trim();
+        if (uri.slice(0, config.coinUriPrefix.length).toLowerCase() !== config.coinUriPrefix) {
+            throw "Not a " + config.coinName + " payment request, it must start with " + config.coinUriPrefix;
+        }
+        var rest = uri.slice(config.coinUriPrefix.length).replace(/^\/\//, '');
+        var query = rest.indexOf('?') === -1 ? '' : rest.slice(rest.indexOf('?') + 1);
+        var address = rest.indexOf('?') === -1 ? rest : rest.slice(0, rest.indexOf('?'));
+        var info = checkAddress(cnUtil, config, address);
+        var result = {
+            address: info.address,
+            type: info.type,
+            amount: null,
+            units: null,
+            paymentId: null,
+            recipientName: null,
+            description: null,
+            unknown: []
+        };
+
+        var seen = {};
+        query.split('&').forEach(function (param) {
+            if (param === '') {
+                return;
+            }
+            var eq = param.indexOf('=');
+            var name = eq === -1 ? param : param.slice(0, eq);
+            var value;
+            try {
+                value = decodeURIComponent(eq === -1 ? '' : param.slice(eq + 1));
+            } catch (e) {
+                throw "Invalid encoding of " + name;
+            }
+            if (seen[name]) {
+                throw "The parameter " + name + " is given twice";
+            }
+            seen[name] = true;
+            var field = null;
+            FIELDS.forEach(function (f) {
+                if (f[1] === name) {
+                    field = f[0];
+                }
+            });
+            if (field === null) {
+                result.unknown.push(name);
+            } else {
+                result[field] = value;
+            }
+        });
+
+        if (result.amount !== null) {
+            try {
+                result.units = pu.parseAmount(config, result.amount);
+            } catch (e) {
+                throw "Invalid tx_amount: " + e;
+            }
+            result.amount = pu.formatAmount(config, result.units);
+        }
+        if (result.paymentId !== null) {
+            checkPaymentId(info, result.paymentId);
+            result.paymentId = result.paymentId.toLowerCase();
+        }
+        return result;
+    };
+
+    return pu;
+})();
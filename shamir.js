@@ -0,0 +1,172 @@
+var shamir = (function () {
+    'use strict';
+    var sh = {};
+
+    // Varint prefix that makes every share start with "XDNs"
+    sh.PREFIX = 0x151134;
+    sh.START = 'XDNs';
+    sh.VERSION = 1;
+    sh.MAX_SHARES = 16;
+
+    var KEY_SIZE = 32;
+    var SET_ID_SIZE = 4;
+    var CHECKSUM_SIZE = 4;
+
+    // GF(2^8) with the AES polynomial, every byte of the secret is shared on its own
+    var EXP = new Array(510);
+    var LOG = new Array(256);
+    (function () {
+        var x = 1;
+        for (var i = 0; i < 255; i++) {
+            EXP[i] = EXP[i + 255] = x;
+            LOG[x] = i;
+            x ^= x << 1 ^ (x & 0x80 ? 0x11b : 0);
+        }
+    })();
+
+    function mul(a, b) {
+        return a && b ? EXP[LOG[a] + LOG[b]] : 0;
+    }
+
+    function div(a, b) {
+        return a ? EXP[LOG[a] + 255 - LOG[b]] : 0;
+    }
+
+    function byteHex(n) {
+        return ('0' + n.toString(16)).slice(-2);
+    }
+
+    sh.isShare = function (str) {
+        return str.replace(/\s/g, '').slice(0, sh.START.length) === sh.START;
+    };
+
+    /*
+     * Splits the 32 byte secret key into count shares, any threshold of which rebuild it.
+     * Returns [{index, threshold, count, setId, data}] with the share bytes as hex in data.
+     * setId ties the shares of one split together, it comes from the public key so it reveals nothing.
+     */
+    sh.split = function (cnUtil, sec, count, threshold) {
+        if (!(count >= 2 && count <= sh.MAX_SHARES)) {
+            throw "The number of shares must be from 2 to " + sh.MAX_SHARES;
+        }
+        if (!(threshold >= 2 && threshold <= count)) {
+            throw "The number of shares needed must be from 2 to " + count;
+        }
+        var secret = cnBase58.hextobin(sec);
+        var setId = cnUtil.cn_fast_hash(cnUtil.sec_key_to_pub(sec)).slice(0, SET_ID_SIZE * 2);
+        // random polynomial of degree threshold - 1 per byte, the constant term is the secret byte
+        var coefficients = [];
+        for (var c = 1; c < threshold; c++) {
+            coefficients.push(cnBase58.hextobin(cnUtil.rand_32()));
+        }
+        var shares = [];
+        for (var x = 1; x <= count; x++) {
+            var data = new Uint8Array(KEY_SIZE);
+            for (var i = 0; i < KEY_SIZE; i++) {
+                var y = 0;
+                for (var k = coefficients.length - 1; k >= 0; k--) {
+                    y = mul(y ^ coefficients[k][i], x);
+                }
+                data[i] = y ^ secret[i];
+            }
+            shares.push({
+                index: x,
+                threshold: threshold,
+                count: count,
+                setId: setId,
+                data: cnBase58.bintohex(data)
+            });
+        }
+        return shares;
+    };
+
+    // Rebuilds the secret key from at least threshold shares of one split
+    sh.combine = function (shares) {
+        if (shares.length === 0) {
+            throw "Enter the shares";
+        }
+        var first = shares[0];
+        var seen = {};
+        shares.forEach(function (share) {
+            if (share.setId !== first.setId || share.threshold !== first.threshold) {
+                throw "Share " + share.index + " belongs to another wallet";
+            }
+            if (seen[share.index]) {
+                throw "Share " + share.index + " is entered twice";
+            }
+            seen[share.index] = true;
+        });
+        if (shares.length < first.threshold) {
+            throw first.threshold + " shares are needed, only " + shares.length + " entered";
+        }
+        var points = shares.map(function (share) {
+            return cnBase58.hextobin(share.data);
+        });
+        var secret = new Uint8Array(KEY_SIZE);
+        // Lagrange interpolation at x = 0
+        for (var j = 0; j < shares.length; j++) {
+            var basis = 1;
+            for (var m = 0; m < shares.length; m++) {
+                if (m !== j) {
+                    basis = mul(basis, div(shares[m].index, shares[m].index ^ shares[j].index));
+                }
+            }
+            for (var i = 0; i < KEY_SIZE; i++) {
+                secret[i] ^= mul(points[j][i], basis);
+            }
+        }
+        return cnBase58.bintohex(secret);
+    };
+
+    // Checksum printed on the card, the last bytes of the encoded share
+    sh.checksum = function (cnUtil, share) {
+        return cnUtil.cn_fast_hash(body(cnUtil, share)).slice(0, CHECKSUM_SIZE * 2);
+    };
+
+    function body(cnUtil, share) {
+        return cnUtil.encode_varint(sh.PREFIX) + byteHex(sh.VERSION) + byteHex(share.threshold) + byteHex(share.count) +
+            byteHex(share.index) + share.setId + share.data;
+    }
+
+    sh.encode = function (cnUtil, share) {
+        return cnBase58.encode(body(cnUtil, share) + sh.checksum(cnUtil, share));
+    };
+
+    sh.decode = function (cnUtil, str) {
+        var hex;
+        try {
+            hex = cnBase58.decode(str.replace(/\s/g, ''));
+        } catch (e) {
+            throw "Invalid share";
+        }
+        var prefix = cnUtil.encode_varint(sh.PREFIX);
+        if (hex.slice(0, prefix.length) !== prefix) {
+            throw "Not a key share";
+        }
+        if (hex.length !== prefix.length + (4 + SET_ID_SIZE + KEY_SIZE + CHECKSUM_SIZE) * 2) {
+            throw "Invalid share length";
+        }
+        var checksum = hex.slice(-CHECKSUM_SIZE * 2);
+        if (cnUtil.cn_fast_hash(hex.slice(0, -CHECKSUM_SIZE * 2)).slice(0, CHECKSUM_SIZE * 2) !== checksum) {
+            throw "Invalid checksum, check the share for typos";
+        }
+        var bytes = cnBase58.hextobin(hex.slice(prefix.length, prefix.length + 8));
+        if (bytes[0] !== sh.VERSION) {
+            throw "Unsupported share version: " + bytes[0];
+        }
+        var pos = prefix.length + 8;
+        var share = {
+            threshold: bytes[1],
+            count: bytes[2],
+            index: bytes[3],
+            setId: hex.slice(pos, pos + SET_ID_SIZE * 2),
+            data: hex.slice(pos + SET_ID_SIZE * 2, pos + (SET_ID_SIZE + KEY_SIZE) * 2)
+        };
+        if (share.index < 1 || share.index > share.count || share.threshold < 2 || share.threshold > share.count) {
+            throw "Invalid share";
+        }
+        return share;
+    };
+
+    return sh;
+})();
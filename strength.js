@@ -0,0 +1,267 @@
+var pharseStrength = (function () {
+    'use strict';
+    var ps = {};
+
+    // The most frequent English words, an attacker tries these first
+    var COMMON_WORDS = (
+        "the be to of and a in that have i it for not on with he as you do at this but his by from they we say her she " +
+        "or an will my one all would there their what so up out if about who get which go me when make can like time no " +
+        "just him know take people into year your good some could them see other than then now look only come its over " +
+        "think also back after use two how our work first well way even new want because any these give day most us is " +
+        "are was were been has had did said love life heart world never ever always forever baby girl boy man woman god " +
+        "night day sun moon star sky fire water light dark dream soul free money friend home heaven hell live die kill " +
+        "stop let go na oh yeah hey la da don't can't i'm you're it's won't need feel hold hand eyes way tonight again " +
+        "tell right wrong down away still here where why nothing something everything someone nobody more much very " +
+        "little big old young long last best better great high low away back together alone song dance rock roll"
+    ).split(' ');
+
+    // Lyrics, proverbs and quotes users pick as passphrases, compared without case and punctuation
+    var KNOWN_QUOTES = [
+        "to be or not to be that is the question",
+        "all that glitters is not gold",
+        "the quick brown fox jumps over the lazy dog",
+        "i think therefore i am",
+        "may the force be with you",
+        "a journey of a thousand miles begins with a single step",
+        "the only thing we have to fear is fear itself",
+        "one small step for man one giant leap for mankind",
+        "four score and seven years ago",
+        "ask not what your country can do for you",
+        "i have a dream",
+        "houston we have a problem",
+        "to infinity and beyond",
+        "elementary my dear watson",
+        "the truth is out there",
+        "winter is coming",
+        "you shall not pass",
+        "keep calm and carry on",
+        "knowledge is power",
+        "time is money",
+        "money is the root of all evil",
+        "the love of money is the root of all evil",
+        "in god we trust",
+        "veni vidi vici",
+        "carpe diem",
+        "there is no place like home",
+        "there is no spoon",
+        "all you need is love",
+        "let it be",
+        "yesterday all my troubles seemed so far away",
+        "imagine all the people",
+        "stairway to heaven",
+        "we will we will rock you",
+        "we are the champions my friends",
+        "is this the real life is this just fantasy",
+        "never gonna give you up never gonna let you down",
+        "hello darkness my old friend",
+        "smells like teen spirit",
+        "another brick in the wall",
+        "sweet child o mine",
+        "highway to hell",
+        "hotel california",
+        "like a rolling stone",
+        "the times they are a changin",
+        "blowin in the wind",
+        "over the rainbow",
+        "happy birthday to you",
+        "twinkle twinkle little star",
+        "mary had a little lamb",
+        "humpty dumpty sat on a wall",
+        "once upon a time",
+        "and they lived happily ever after",
+        "it was the best of times it was the worst of times",
+        "call me ishmael",
+        "in the beginning god created the heaven and the earth",
+        "the lord is my shepherd i shall not want",
+        "our father who art in heaven",
+        "do unto others as you would have them do unto you",
+        "an eye for an eye",
+        "an apple a day keeps the doctor away",
+        "the early bird catches the worm",
+        "actions speak louder than words",
+        "better late than never",
+        "the pen is mightier than the sword",
+        "where there is a will there is a way",
+        "rome was not built in a day",
+        "correct horse battery staple",
+        "satoshi nakamoto",
+        "to the moon",
+        "digitalnote"
+    ];
+
+    var KEYBOARD_ROWS = [
+        "`1234567890-=",
+        "qwertyuiop[]\\",
+        "asdfghjkl;'",
+        "zxcvbnm,./",
+        "abcdefghijklmnopqrstuvwxyz",
+        "0123456789"
+    ];
+
+    var dictionaries = [{ name: 'common', words: COMMON_WORDS }];
+
+    // Every word of the list is assumed to cost log2(list size) bits, like a diceware word
+    ps.addDictionary = function (name, words) {
+        dictionaries.push({ name: name, words: words });
+    };
+
+    function normalize(str) {
+        return str.toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    function log2(x) {
+        return Math.log(x) / Math.LN2;
+    }
+
+    function cardinality(token) {
+        var size = 0;
+        if (/[a-z]/.test(token)) size += 26;
+        if (/[A-Z]/.test(token)) size += 26;
+        if (/[0-9]/.test(token)) size += 10;
+        if (/[^a-zA-Z0-9]/.test(token)) size += 33;
+        return size;
+    }
+
+    // Length of the keyboard or alphabet run starting at i, either direction
+    function runLength(token, i) {
+        var best = 1;
+        for (var r = 0; r < KEYBOARD_ROWS.length; r++) {
+            var row = KEYBOARD_ROWS[r];
+            for (var dir = -1; dir <= 1; dir += 2) {
+                var len = 1;
+                var pos = row.indexOf(token[i]);
+                while (pos !== -1 && i + len < token.length && row[pos + dir] === token[i + len]) {
+                    pos += dir;
+                    len++;
+                }
+                best = Math.max(best, len);
+            }
+        }
+        return best;
+    }
+
+    function dictionaryBits(word) {
+        var bits = null;
+        for (var i = 0; i < dictionaries.length; i++) {
+            if (dictionaries[i].words.indexOf(word) !== -1) {
+                var b = log2(dictionaries[i].words.length);
+                bits = bits === null ? b : Math.min(bits, b);
+            }
+        }
+        return bits;
+    }
+
+    // Bits of a token that is not a dictionary word, patterns are charged as a few guesses
+    function tokenBits(token, warnings) {
+        var lower = token.toLowerCase();
+        var size = cardinality(token);
+        var bits = 0;
+        var i = 0;
+        while (i < lower.length) {
+            var run = runLength(lower, i);
+            var repeat = 1;
+            while (i + repeat < lower.length && lower[i + repeat] === lower[i]) {
+                repeat++;
+            }
+            if (run >= 3) {
+                bits += 4 + log2(run);
+                i += run;
+                warnings.keyboard = true;
+            } else if (repeat >= 3) {
+                bits += log2(size) + log2(repeat);
+                i += repeat;
+                warnings.repeat = true;
+            } else {
+                // letters of unknown words follow English spelling, roughly 3 bits each
+                bits += /[a-z]/.test(lower[i]) && size <= 52 ? 3 : log2(size);
+                i++;
+            }
+        }
+        return bits;
+    }
+
+    /*
+     * Estimates the entropy of a passphrase the way a guessing attacker would see it.
+     * Returns {bits, words, quote, warnings}
+     */
+    ps.estimate = function (pharse) {
+        var warnings = {};
+        var tokens = pharse.split(/[\s\-_.,;:!?]+/).filter(function (t) { return t !== ''; });
+        var seen = {};
+        var bits = 0;
+        for (var i = 0; i < tokens.length; i++) {
+            var word = tokens[i].toLowerCase();
+            if (seen[word]) {
+                bits += 1;
+                warnings.repeat = true;
+                continue;
+            }
+            seen[word] = true;
+            var dict = dictionaryBits(word);
+            if (dict !== null) {
+                bits += dict + (word !== tokens[i] ? 1 : 0);
+            } else {
+                bits += tokenBits(tokens[i], warnings);
+            }
+        }
+
+        var text = normalize(pharse);
+        var quote = false;
+        for (var q = 0; q < KNOWN_QUOTES.length && text !== ''; q++) {
+            if (text.indexOf(KNOWN_QUOTES[q]) !== -1 || (text.length >= 8 && KNOWN_QUOTES[q].indexOf(text) !== -1)) {
+                quote = true;
+            }
+        }
+        if (quote) {
+            // the quote is one guess out of the list, whatever is added around it still counts
+            var rest = text;
+            for (q = 0; q < KNOWN_QUOTES.length; q++) {
+                rest = rest.replace(KNOWN_QUOTES[q], ' ');
+            }
+            bits = Math.min(bits, log2(KNOWN_QUOTES.length) + (rest.trim() ? ps.estimate(rest).bits : 0));
+        }
+
+        var result = [];
+        if (tokens.length < 5) result.push('Use at least 5 words');
+        if (quote) result.push('This is a well known quote or lyric');
+        if (warnings.keyboard) result.push('Avoid keyboard patterns and sequences');
+        if (warnings.repeat) result.push('Avoid repeated characters and words');
+
+        return {
+            bits: Math.floor(bits),
+            words: tokens.length,
+            quote: quote,
+            warnings: result
+        };
+    };
+
+    // Average time to find the passphrase by guessing at the given rate
+    ps.crackSeconds = function (bits, guessesPerSecond) {
+        return Math.pow(2, bits - 1) / guessesPerSecond;
+    };
+
+    ps.formatDuration = function (seconds) {
+        var units = [
+            [60 * 60 * 24 * 365 * 100, 'centuries'],
+            [60 * 60 * 24 * 365, 'years'],
+            [60 * 60 * 24 * 30, 'months'],
+            [60 * 60 * 24, 'days'],
+            [60 * 60, 'hours'],
+            [60, 'minutes'],
+            [1, 'seconds']
+        ];
+        if (seconds < 1) {
+            return 'instantly';
+        }
+        if (seconds > units[0][0] * 1e6) {
+            return 'more than 100 million years';
+        }
+        for (var i = 0; i < units.length; i++) {
+            if (seconds >= units[i][0]) {
+                return Math.floor(seconds / units[i][0]) + ' ' + units[i][1];
+            }
+        }
+    };
+
+    return ps;
+})();
@@ -0,0 +1,262 @@
+var vanity = (function () {
+    'use strict';
+    var v = {};
+
+    var ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+    var BLOCK_BYTES = 8;
+    var BLOCK_CHARS = 11;
+
+    // Every address starts with these characters, the user picks what follows. Set by setAddressPrefix for other coins.
+    v.ADDRESS_START = 'dd';
+    // create_address_if_prefix can only check the characters encoded from the prefix and spend key
+    v.MAX_LENGTH = 44;
+
+    // Matching is case-insensitive like create_address_if_prefix, so a character is fine if either case is base58
+    v.validate = function (prefix) {
+        for (var i = 0; i < prefix.length; i++) {
+            var c = prefix[i];
+            if (ALPHABET.indexOf(c.toUpperCase()) === -1 && ALPHABET.indexOf(c.toLowerCase()) === -1) {
+                throw "Invalid base58 character: " + c;
+            }
+        }
+        if (v.ADDRESS_START.length + prefix.length > v.MAX_LENGTH) {
+            throw "The prefix can be at most " + (v.MAX_LENGTH - v.ADDRESS_START.length) + " characters";
+        }
+    };
+
+    function variants(chunk) {
+        var out = [''];
+        for (var i = 0; i < chunk.length; i++) {
+            var options = [];
+            [chunk[i], chunk[i].toUpperCase(), chunk[i].toLowerCase()].forEach(function (c) {
+                if (ALPHABET.indexOf(c) !== -1 && options.indexOf(c) === -1) {
+                    options.push(c);
+                }
+            });
+            var next = [];
+            for (var j = 0; j < out.length; j++) {
+                for (var k = 0; k < options.length; k++) {
+                    next.push(out[j] + options[k]);
+                }
+            }
+            out = next;
+        }
+        return out;
+    }
+
+    // Share of the block values [lo, lo + size) whose 11 character encoding starts with chunk
+    function blockProbability(chunk, lo, size) {
+        var hits = 0;
+        variants(chunk).forEach(function (variant) {
+            var value = 0;
+            for (var i = 0; i < variant.length; i++) {
+                value = value * ALPHABET.length + ALPHABET.indexOf(variant[i]);
+            }
+            var width = Math.pow(ALPHABET.length, BLOCK_CHARS - variant.length);
+            var start = value * width;
+            hits += Math.max(0, Math.min(start + width, lo + size) - Math.max(start, lo));
+        });
+        return hits / size;
+    }
+
+    /*
+     * Expected number of attempts to find an address starting with ADDRESS_START + prefix.
+     * addressPrefix is the hex varint of the coin, it fills the start of the first 8 byte block
+     * and the spend key bytes are taken as uniformly random.
+     */
+    v.difficulty = function (addressPrefix, prefix) {
+        var full = v.ADDRESS_START + prefix;
+        var fixed = addressPrefix.length / 2;
+        var probability = 1;
+        for (var b = 0; b * BLOCK_CHARS < full.length; b++) {
+            var chunk = full.slice(b * BLOCK_CHARS, (b + 1) * BLOCK_CHARS);
+            var lo = 0, size = Math.pow(2, 8 * BLOCK_BYTES);
+            if (b === 0) {
+                size = Math.pow(2, 8 * (BLOCK_BYTES - fixed));
+                lo = parseInt(addressPrefix, 16) * size;
+            }
+            probability *= blockProbability(chunk, lo, size);
+        }
+        return probability > 0 ? 1 / probability : Infinity;
+    };
+
+    // Characters shared by every address whose hex varint prefix is addressPrefix, found by encoding the
+    // smallest and the largest first block
+    v.addressStart = function (addressPrefix) {
+        var free = BLOCK_BYTES - addressPrefix.length / 2;
+        var low = cnBase58.encode(addressPrefix + new Array(free + 1).join('00'));
+        var high = cnBase58.encode(addressPrefix + new Array(free + 1).join('ff'));
+        var i = 0;
+        while (i < low.length && low[i] === high[i]) {
+            i++;
+        }
+        return low.slice(0, i);
+    };
+
+    v.setAddressPrefix = function (addressPrefix) {
+        v.ADDRESS_START = v.addressStart(addressPrefix);
+    };
+
+    // Attempts needed to find a match with 50% probability
+    v.halfChance = function (difficulty) {
+        return difficulty * Math.LN2;
+    };
+
+    // Workers started by search, one per core
+    v.threads = function () {
+        return Math.max(1, Math.min(navigator.hardwareConcurrency || 2, 16));
+    };
+
+    function rate(attempts, started) {
+        return attempts / Math.max((Date.now() - started) / 1000, 0.001);
+    }
+
+    /*
+     * One random try of a search job, {prefix} for whole wallets or {prefix, partial} for a split-key search.
+     * Returns the keys on a match, otherwise null.
+     */
+    v.attempt = function (cnUtil, job) {
+        var seed = cnUtil.sc_reduce32(cnUtil.rand_32());
+        if (job.partial) {
+            return cnUtil.create_split_address_if_prefix(job.partial, seed, job.prefix);
+        }
+        return cnUtil.create_address_if_prefix(seed, job.prefix);
+    };
+
+    // Brute-forces random seeds on this thread in short slices so the page stays responsive
+    function searchHere(cnUtil, job, onprogress, ondone) {
+        var attempts = 0;
+        var started = Date.now();
+        var stopped = false;
+        var slice = function () {
+            if (stopped) {
+                return;
+            }
+            var end = Date.now() + 100;
+            while (Date.now() < end) {
+                var keys = v.attempt(cnUtil, job);
+                attempts++;
+                if (keys) {
+                    stopped = true;
+                    onprogress(attempts, rate(attempts, started), 1);
+                    return ondone(keys);
+                }
+            }
+            onprogress(attempts, rate(attempts, started), 1);
+            setTimeout(slice, 0);
+        };
+        setTimeout(slice, 0);
+        return {
+            stop: function () {
+                stopped = true;
+            }
+        };
+    }
+
+    // Runs job on a pool of vanityWorker.js workers, or on this thread when the browser does not allow workers for this page
+    function run(cnUtil, config, job, onprogress, ondone) {
+        var workers = [];
+        var attempts = 0;
+        var started = Date.now();
+        var stopped = false;
+        var fallback = null;
+
+        var stopWorkers = function () {
+            workers.forEach(function (worker) {
+                worker.terminate();
+            });
+            workers = [];
+        };
+
+        try {
+            for (var i = 0; i < v.threads(); i++) {
+                workers.push(new Worker('vanityWorker.js'));
+            }
+        } catch (e) {
+            // e.g. pages opened from file:// in Chrome
+            stopWorkers();
+            return searchHere(cnUtil, job, onprogress, ondone);
+        }
+
+        workers.forEach(function (worker) {
+            worker.onmessage = function (e) {
+                if (stopped) {
+                    return;
+                }
+                attempts += e.data.attempts;
+                onprogress(attempts, rate(attempts, started), workers.length);
+                if (e.data.keys) {
+                    stopped = true;
+                    stopWorkers();
+                    ondone(e.data.keys);
+                }
+            };
+            worker.onerror = function (e) {
+                e.preventDefault();
+                if (stopped || fallback) {
+                    return;
+                }
+                // the worker scripts failed to load, keep searching on this thread
+                stopWorkers();
+                fallback = searchHere(cnUtil, job, onprogress, ondone);
+            };
+            worker.postMessage({
+                config: config,
+                job: job
+            });
+        });
+
+        return {
+            stop: function () {
+                stopped = true;
+                stopWorkers();
+                if (fallback) {
+                    fallback.stop();
+                }
+            }
+        };
+    }
+
+    /*
+     * Searches for a wallet whose address starts with ADDRESS_START + prefix.
+     * onprogress(attempts, perSecond, threads) is called as the search goes, ondone(keys) once a match is found.
+     * Returns an object whose stop() cancels the search.
+     */
+    v.search = function (cnUtil, config, prefix, onprogress, ondone) {
+        return run(cnUtil, config, { prefix: v.ADDRESS_START + prefix }, onprogress, ondone);
+    };
+
+    /*
+     * Split-key vanity: the owner keeps the partial secret key and hands out only its public key.
+     * The helper searches for a second key whose public key, added to the partial one, gives an address
+     * starting with ADDRESS_START + prefix. ondone({sec, pub}) gets the helper secret key and the combined
+     * spend public key, neither of which reveals the final spend key.
+     */
+    v.searchSplit = function (cnUtil, config, partialPub, prefix, onprogress, ondone) {
+        // fails early on keys that are not curve points
+        cnUtil.ge_add(partialPub, partialPub);
+        return run(cnUtil, config, { prefix: v.ADDRESS_START + prefix, partial: partialPub }, onprogress, ondone);
+    };
+
+    // New partial key pair for the owner of a split-key search
+    v.createPartial = function (cnUtil) {
+        return cnUtil.generate_keys(cnUtil.rand_32());
+    };
+
+    // Owner side: adds the helper secret key to the partial one and checks the result before it is used
+    v.combine = function (cnUtil, partialSec, helperSec, prefix) {
+        [partialSec, helperSec].forEach(function (key) {
+            if (!/^[0-9a-fA-F]{64}$/.test(key) || cnUtil.sc_reduce32(key) !== key.toLowerCase()) {
+                throw "Invalid secret key: " + key;
+            }
+        });
+        var keys = cnUtil.create_address(cnUtil.sc_add(partialSec.toLowerCase(), helperSec.toLowerCase()));
+        var full = v.ADDRESS_START + prefix;
+        if (keys.public_addr.toUpperCase().slice(0, full.length) !== full.toUpperCase()) {
+            throw "The combined address does not start with " + full + ", check the keys";
+        }
+        return keys;
+    };
+
+    return v;
+})();
@@ -0,0 +1,26 @@
+// One thread of the vanity address search, see vanity.search
+// cnUtil reads window.crypto for its random numbers
+self.window = self;
+importScripts('numbers.js', 'asm.js', 'cnUtil.js', 'vanity.js');
+
+onmessage = function (e) {
+    var cnUtil = cnUtilGen(e.data.config);
+    var attempts = 0;
+    var report = Date.now() + 250;
+    // runs until a match is found or the page terminates the worker
+    for (;;) {
+        var keys = vanity.attempt(cnUtil, e.data.job);
+        attempts++;
+        if (keys || Date.now() >= report) {
+            postMessage({
+                attempts: attempts,
+                keys: keys
+            });
+            if (keys) {
+                return;
+            }
+            attempts = 0;
+            report = Date.now() + 250;
+        }
+    }
+};